@@ -6,6 +6,7 @@ import morgan from 'morgan';
 import rateLimit from 'express-rate-limit';
 import { CORS_ALLOWLIST } from './config.js';
 import checkRoute from './routes/check.js';
+import fareRoute from './routes/fare.js';
 import stopsRoute from './routes/stops.js';
 //import pushRoute from './routes/push.js';
 import remindersRoute from './routes/reminders.js';
@@ -13,6 +14,7 @@ import jobsRoute from './routes/jobs.js';
 import smsRoute from './routes/sms.js';
 import transitRoute from './routes/transit.js';
 import chatRoute from './routes/chat.js';
+import alertsRoute from './routes/alerts.js';
 
 
 export const app = express();
@@ -56,6 +58,7 @@ app.use('/api/', limiter);
 // Routes
 app.get('/api/health', (_req, res) => res.json({ ok: true }));
 app.use('/api/check', checkRoute);
+app.use('/api/fare', fareRoute);
 app.use('/api/stops', stopsRoute);
 //app.use('/api/push', pushRoute);
 app.use('/api/reminders', remindersRoute);
@@ -63,6 +66,7 @@ app.use('/api/jobs', jobsRoute);
 app.use('/api/sms', smsRoute);
 app.use('/api/transit', transitRoute);
 app.use('/api/chat', chatRoute);
+app.use('/api/alerts', alertsRoute);
 
 
 export default app;
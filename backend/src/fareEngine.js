@@ -1,7 +1,10 @@
 // backend/src/fareEngine.js
+import fs from 'fs';
 import dayjs from 'dayjs';
 import utc from 'dayjs/plugin/utc.js';
+import timezone from 'dayjs/plugin/timezone.js';
 dayjs.extend(utc);
+dayjs.extend(timezone);
 
 export const Agencies = {
   TTC: 'TTC',
@@ -27,21 +30,94 @@ export const PaymentMethods = {
   E_TICKET: 'E_TICKET'
 };
 
-const participatingLocal = new Set([
-  Agencies.TTC, Agencies.BRAMPTON, Agencies.DRT, Agencies.MIWAY, Agencies.YRT
-]);
+export const FareCategories = {
+  ADULT: 'ADULT',
+  YOUTH: 'YOUTH',
+  SENIOR: 'SENIOR',
+  CHILD: 'CHILD',
+  POST_SECONDARY: 'POST_SECONDARY',
+  FAIR_PASS: 'FAIR_PASS'
+};
+
+// Versioned single-ride fares (cents), see data/fares.json
+export const fareTable = JSON.parse(
+  fs.readFileSync(new URL('./data/fares.json', import.meta.url), 'utf8')
+);
+
+// GO station-to-station fares by fare zone, see data/goFares.json
+export const goFares = JSON.parse(
+  fs.readFileSync(new URL('./data/goFares.json', import.meta.url), 'utf8')
+);
+
+/** Default clock. Pass `{ clock: () => someDate }` to the engine to pin "now". */
+export const systemClock = () => new Date();
+
+// Transfer rules by effective date, see data/fareRules.json
+export const fareRules = JSON.parse(
+  fs.readFileSync(new URL('./data/fareRules.json', import.meta.url), 'utf8')
+).versions;
+
+/** Rules version in force at `whenISO` (defaults to now). */
+export function rulesAt(whenISO) {
+  const t = dayjs(whenISO ?? systemClock());
+  const found = fareRules.find(r =>
+    (!r.effectiveFrom || !t.isBefore(dayjs(r.effectiveFrom))) &&
+    (!r.effectiveTo || t.isBefore(dayjs(r.effectiveTo)))
+  );
+  if (!found) throw new Error(`No fare rules in force at ${t.toISOString()}`);
+  return found;
+}
 
 function isLocal(a) { return a !== Agencies.GO; }
 
-export function computeWindowSeconds(startAgency) {
+function isParticipating(agency, rules) {
+  return rules.participatingAgencies.includes(agency);
+}
+
+export function computeWindowSeconds(startAgency, rules = rulesAt()) {
   // GO-started trips: 3h; local-started trips: 2h
-  return startAgency === Agencies.GO ? 3 * 3600 : 2 * 3600;
+  return startAgency === Agencies.GO ? rules.windowSeconds.GO : rules.windowSeconds.LOCAL;
 }
 
-export function allowedPayment(method) {
+export function allowedPayment(method, rules = rulesAt()) {
   // One Fare works for PRESTO card, PRESTO in Google Wallet, credit or debit on PRESTO devices.
   // PRESTO Tickets and e-tickets are NOT eligible.
-  return method !== PaymentMethods.PRESTO_TICKET && method !== PaymentMethods.E_TICKET;
+  return !rules.ineligiblePaymentMethods.includes(method);
+}
+
+export function pricedCategory(category, paymentMethod) {
+  // Concessions live on the PRESTO card; a credit/debit tap is always charged the adult fare.
+  const concession = category !== FareCategories.ADULT && category !== FareCategories.CHILD;
+  const bankCard = paymentMethod === PaymentMethods.CREDIT || paymentMethod === PaymentMethods.DEBIT;
+  return concession && bankCard ? FareCategories.ADULT : category;
+}
+
+export function categoryText(category, paymentMethod) {
+  if (category === FareCategories.CHILD) {
+    return 'Children 12 and under ride free on TTC, GO and 905 local transit. No transfer window needed.';
+  }
+  if (pricedCategory(category, paymentMethod) !== category) {
+    return 'Credit/debit taps are charged the adult fare. Load your concession on a PRESTO card to get the discounted price.';
+  }
+  if (category === FareCategories.YOUTH) {
+    return 'Youth fares apply on every leg; your connecting leg is still free within the window.';
+  }
+  if (category === FareCategories.SENIOR) {
+    return 'Senior fares apply on every leg; your connecting leg is still free within the window.';
+  }
+  if (category === FareCategories.POST_SECONDARY) {
+    return 'The post-secondary discount applies on GO only; TTC and 905 local legs are charged the adult fare.';
+  }
+  if (category === FareCategories.FAIR_PASS) {
+    return 'Fair Pass discounts apply on TTC only; GO and 905 local legs are charged the adult fare.';
+  }
+  return null;
+}
+
+function nextAgencyFor(direction, startAgency) {
+  if (direction === Directions.TTC_GO) return Agencies.GO;
+  if (direction === Directions.GO_TTC) return Agencies.TTC;
+  return startAgency;
 }
 
 export function savingsText(direction, startAgency) {
@@ -56,32 +132,118 @@ export function savingsText(direction, startAgency) {
     : 'Your connecting leg is discounted/free within 2 hours on local transit.';
 }
 
-/**
- * @returns { eligibleNow, deadlineISO, windowSeconds, reasons[], savingsText, expiredNextSteps }
+// Stable codes for each rule in the eligibility trace (safe to match on in clients/support tools)
+export const RuleCodes = {
+  CHILD_FREE: 'CHILD_FREE',
+  PARTICIPATING_AGENCY: 'PARTICIPATING_AGENCY',
+  PAYMENT_METHOD: 'PAYMENT_METHOD',
+  SAME_CARD: 'SAME_CARD',
+  REENTRY: 'REENTRY',
+  TIME_WINDOW: 'TIME_WINDOW'
+};
+
+// Why a tap inside the window starts a new fare instead of counting as a transfer
+export const ReentryCodes = {
+  SAME_STATION: 'SAME_STATION',
+  SAME_ROUTE_DIRECTION: 'SAME_ROUTE_DIRECTION'
+};
+
+const sameText = (a, b) => !!a && !!b && String(a).trim().toLowerCase() === String(b).trim().toLowerCase();
+
+/*
+ * Re-entry check for `tap` against the earlier taps in its window, per `rules.reentry`.
+ * Returns { code, message } when the tap starts a new fare, else null.
  */
-export function checkEligibility({ direction, startAgency, firstTapISO, paymentMethod, sameCard }) {
-  const reasons = [];
+function reentryFor(tap, earlier, rules) {
+  const { sameStationAgencies = [], sameRouteDirectionAgencies = [] } = rules.reentry || {};
+  const sameAgency = earlier.filter(t => t.agency === tap.agency);
 
-  if (!participatingLocal.has(startAgency) && startAgency !== Agencies.GO) {
-    reasons.push('Starting agency is not in the participating list.');
-  }
-  if (!allowedPayment(paymentMethod)) {
-    reasons.push('PRESTO Tickets/e-tickets are not eligible for One Fare.');
+  if (sameStationAgencies.includes(tap.agency) && tap.location
+    && sameAgency.some(t => t.location && stationKey(t.location) === stationKey(tap.location))) {
+    return {
+      code: ReentryCodes.SAME_STATION,
+      message: `This re-tap at ${tap.location} starts a new fare: ${tap.agency} counts tapping in again where you started as a new trip.`
+    };
   }
-  if (!sameCard) {
-    reasons.push('You must use the same card/phone/watch for all taps.');
+  if (sameRouteDirectionAgencies.includes(tap.agency) && tap.route && tap.routeDirection
+    && sameAgency.some(t => sameText(t.route, tap.route) && sameText(t.routeDirection, tap.routeDirection))) {
+    return {
+      code: ReentryCodes.SAME_ROUTE_DIRECTION,
+      message: `Boarding ${tap.agency} route ${tap.route} ${tap.routeDirection} again starts a new fare: a stopover on the same route and direction is not a transfer.`
+    };
   }
+  return null;
+}
+
+/**
+ * `asOfISO` answers "would I still be eligible at …?"; otherwise `clock()` supplies now.
+ * `trace` lists every rule evaluated as { code, rule, inputs, passed, message }; `reasons`
+ * keeps the failed card/agency messages for older clients. Given `nextTap` ({ agency?, location?, route?,
+ * routeDirection? }, agency defaulting to the other side of a TTC↔GO trip, else the starting agency),
+ * the REENTRY rule says whether it re-enters the trip started at `firstTap`. For TTC↔GO trips, `fare` prices the
+ * GO leg between `goOrigin` and `goDestination` and shows what One Fare takes off the total.
+ * @returns { eligibleNow, asOfISO, deadlineISO, windowSeconds, reasons[], trace[], savingsText, expiredNextSteps, category, categoryText, rulesVersion, fare }
+ */
+export function checkEligibility({
+  direction, startAgency, firstTapISO, paymentMethod, sameCard, category = FareCategories.ADULT, asOfISO,
+  goOrigin, goDestination, firstTap = {}, nextTap
+}, { clock = systemClock } = {}) {
+  const childFree = category === FareCategories.CHILD;
+  const rules = rulesAt(firstTapISO);
 
-  const windowSeconds = computeWindowSeconds(startAgency);
+  const windowSeconds = computeWindowSeconds(startAgency, rules);
   const start = dayjs(firstTapISO);
   const deadline = start.add(windowSeconds, 'second');
-  const now = dayjs();
-
+  const now = dayjs(asOfISO ?? clock());
   const withinTime = now.isBefore(deadline) || now.isSame(deadline);
-  const eligibleNow = reasons.length === 0 && withinTime;
+
+  const trace = [];
+  const rule = (code, text, inputs, passed, passMsg, failMsg) =>
+    trace.push({ code, rule: text, inputs, passed, message: passed ? passMsg : failMsg });
+
+  if (childFree) {
+    rule(RuleCodes.CHILD_FREE, 'Children 12 and under ride free', { category }, true,
+      categoryText(category, paymentMethod), null);
+  }
+  rule(RuleCodes.PARTICIPATING_AGENCY, 'Starting agency takes part in One Fare',
+    { startAgency, rulesVersion: rules.version, participatingAgencies: rules.participatingAgencies },
+    isParticipating(startAgency, rules),
+    `${startAgency} takes part in One Fare.`,
+    'Starting agency is not in the participating list.');
+  rule(RuleCodes.PAYMENT_METHOD, 'Payment method is accepted for One Fare',
+    { paymentMethod, ineligiblePaymentMethods: rules.ineligiblePaymentMethods },
+    allowedPayment(paymentMethod, rules),
+    'Your payment method works with One Fare.',
+    'PRESTO Tickets/e-tickets are not eligible for One Fare.');
+  rule(RuleCodes.SAME_CARD, 'Same card/phone/watch for every tap',
+    { sameCard },
+    !!sameCard,
+    'You are using the same card/phone/watch for all taps.',
+    'You must use the same card/phone/watch for all taps.');
+  if (nextTap) {
+    const first = { ...firstTap, agency: startAgency };
+    const next = { ...nextTap, agency: nextTap.agency ?? nextAgencyFor(direction, startAgency) };
+    const reentry = reentryFor(next, [first], rules);
+    rule(RuleCodes.REENTRY, 'Next tap is a transfer, not a re-entry',
+      { firstTap: first, nextTap: next, reentryRules: rules.reentry ?? null, reentryCode: reentry?.code ?? null },
+      !reentry,
+      'Your next tap counts as a transfer.',
+      reentry?.message);
+  }
+  rule(RuleCodes.TIME_WINDOW, 'Next tap is inside the transfer window',
+    { firstTapISO: start.toISOString(), asOfISO: now.toISOString(), windowSeconds, deadlineISO: deadline.toISOString() },
+    withinTime,
+    `You have until ${deadline.toISOString()} to make your next tap.`,
+    'The transfer window has expired.');
+
+  const reasons = trace
+    .filter(t => !t.passed && t.code !== RuleCodes.TIME_WINDOW)
+    .map(t => t.message);
+  // Children ride free on every leg, so card/window rules never cost them anything
+  const eligibleNow = childFree || trace.every(t => t.passed);
 
   let expiredNextSteps = null;
-  if (!withinTime) {
+  if (!withinTime && !childFree) {
     expiredNextSteps = (startAgency === Agencies.GO)
       ? 'Your next TTC/local tap will be charged normally. That tap starts a new 2-hour local window.'
       : 'Your next GO tap will be charged normally and starts a new 3-hour GO window.';
@@ -89,11 +251,392 @@ export function checkEligibility({ direction, startAgency, firstTapISO, paymentM
 
   return {
     eligibleNow,
+    asOfISO: now.toISOString(),
     deadlineISO: deadline.toISOString(),
     windowSeconds,
-    reasons,
-    savingsText: savingsText(direction, startAgency),
-    expiredNextSteps
+    reasons: childFree ? [] : reasons,
+    trace,
+    savingsText: childFree ? categoryText(category, paymentMethod) : savingsText(direction, startAgency),
+    expiredNextSteps,
+    category,
+    categoryText: categoryText(category, paymentMethod),
+    rulesVersion: rules.version,
+    fare: goTransferFare({
+      direction, goOrigin, goDestination, at: start, rules,
+      category: pricedCategory(category, paymentMethod),
+      oneFare: eligibleNow
+    })
+  };
+}
+
+export const TapStatus = {
+  FULL: 'FULL',
+  DISCOUNTED: 'DISCOUNTED',
+  FREE: 'FREE'
+};
+
+export function fareFor(agency, category = FareCategories.ADULT) {
+  const row = fareTable.agencies[agency];
+  if (!row || row[category] == null) throw new Error(`No fare for ${agency}/${category}`);
+  return row[category];
+}
+
+const stationKey = s => String(s || '').toLowerCase()
+  .replace(/\b(go|station|stn)\b/g, '').replace(/[^a-z0-9]/g, '');
+
+/** GO station by stop code or name ("UN", "Union Station", "Oakville GO"); null if unknown. */
+export function goStation(query) {
+  const code = String(query || '').trim().toUpperCase();
+  if (goFares.stations[code]) return { code, ...goFares.stations[code] };
+  const key = stationKey(query);
+  if (!key) return null;
+  const found = Object.entries(goFares.stations).find(([, s]) => stationKey(s.name) === key);
+  return found ? { code: found[0], ...found[1] } : null;
+}
+
+/** Station-to-station GO fare in cents, or null when a station or zone pair is not in the matrix. */
+export function goFareFor(origin, destination, category = FareCategories.ADULT) {
+  const from = goStation(origin);
+  const to = goStation(destination);
+  if (!from || !to) return null;
+  const adult = goFares.fares[[from.zone, to.zone].sort().join('-')];
+  if (adult == null) return null;
+  return Math.round(adult * (1 - (goFares.concessionDiscounts[category] ?? 0)));
+}
+
+// GO taps with a known origin/destination use the zone matrix; everything else the flat table
+function legFare(tap, category) {
+  if (tap.agency === Agencies.GO && tap.location && tap.destination) {
+    const cents = goFareFor(tap.location, tap.destination, category);
+    if (cents != null) return { fareCents: cents, fareSource: 'GO_MATRIX' };
+  }
+  return { fareCents: fareFor(tap.agency, category), fareSource: 'FARE_TABLE' };
+}
+
+function oneFareEligible(agencies, paymentMethod, sameCard, rules) {
+  return allowedPayment(paymentMethod, rules) && sameCard
+    && agencies.every(a => isParticipating(a, rules));
+}
+
+/*
+ * Core window walk shared by quoteFare and evaluateTrip. Each tap is
+ * { agency, at: dayjs, location?, destination?, route?, routeDirection? }.
+ * - A tap outside the current window, or one that re-enters it (see reentryFor), pays full fare
+ *   and opens a new window (2h when it is a local tap, 3h when it is a GO tap).
+ * - A local tap inside the window is free.
+ * - A GO tap inside the window pays the GO fare less the local fares already paid,
+ *   and opens a fresh 3h GO window from that tap.
+ */
+function walkTaps(taps, category, oneFare, rules) {
+  // A replayed history can span rule changes: `rules` may then be a function of the tap that
+  // opens each window, and `oneFare` a function of those rules
+  const rulesFor = typeof rules === 'function' ? rules : () => rules;
+  const eligible = typeof oneFare === 'function' ? oneFare : () => oneFare;
+  const windows = [];
+  let current = null;
+  let credit = 0; // local fares paid in the current window, credited against the next GO fare
+  let prevAgency = null;
+  let windowTaps = [];
+
+  const out = taps.map(tap => {
+    const { fareCents, fareSource } = legFare(tap, category);
+    const inTime = current?.oneFare && !tap.at.isAfter(current.deadline);
+    const reentry = inTime ? reentryFor(tap, windowTaps, current.rules) : null;
+    const inWindow = inTime && !reentry;
+    const transferFrom = inWindow ? prevAgency : null;
+
+    let chargeCents = fareCents;
+    let opensWindow = !inWindow;
+    if (inWindow) {
+      if (isLocal(tap.agency)) {
+        chargeCents = 0;
+      } else {
+        chargeCents = Math.max(0, fareCents - credit);
+        opensWindow = true;
+      }
+    }
+
+    if (opensWindow) {
+      const windowRules = rulesFor(tap);
+      const windowSeconds = computeWindowSeconds(tap.agency, windowRules);
+      current = {
+        id: windows.length + 1,
+        agency: tap.agency,
+        start: tap.at,
+        deadline: tap.at.add(windowSeconds, 'second'),
+        windowSeconds,
+        rules: windowRules,
+        oneFare: eligible(windowRules)
+      };
+      windows.push(current);
+      credit = 0;
+      windowTaps = [];
+    }
+    windowTaps.push(tap);
+    if (isLocal(tap.agency)) credit += chargeCents;
+    prevAgency = tap.agency;
+
+    const status = chargeCents === 0 ? TapStatus.FREE
+      : chargeCents < fareCents ? TapStatus.DISCOUNTED
+      : TapStatus.FULL;
+
+    return {
+      agency: tap.agency,
+      fareCents,
+      fareSource,
+      discountCents: fareCents - chargeCents,
+      chargeCents,
+      status,
+      windowId: current.id,
+      opensWindow,
+      transferFrom,
+      reentry
+    };
+  });
+
+  return {
+    taps: out,
+    windows: windows.map(w => ({
+      id: w.id,
+      agency: w.agency,
+      startISO: w.start.toISOString(),
+      deadlineISO: w.deadline.toISOString(),
+      windowSeconds: w.windowSeconds,
+      rulesVersion: w.rules.version
+    })),
+    totalCents: out.reduce((n, t) => n + t.chargeCents, 0),
+    discountCents: out.reduce((n, t) => n + t.discountCents, 0)
+  };
+}
+
+const dollars = cents => `$${(cents / 100).toFixed(2)}`;
+
+/*
+ * Price a TTC↔GO trip both ways: with the One Fare discount (when `oneFare`) and as two
+ * separate fares. Without a known station pair the GO leg falls back to the minimum fare.
+ */
+function goTransferFare({ direction, goOrigin, goDestination, category, oneFare, at, rules }) {
+  if (direction !== Directions.TTC_GO && direction !== Directions.GO_TTC) return null;
+  const go = { agency: Agencies.GO, location: goOrigin, destination: goDestination, at };
+  const ttc = { agency: Agencies.TTC, at };
+  const taps = direction === Directions.TTC_GO ? [ttc, go] : [go, ttc];
+
+  const withOneFare = walkTaps(taps, category, oneFare, rules);
+  const separate = walkTaps(taps, category, false, rules);
+  const goLeg = withOneFare.taps.find(t => t.agency === Agencies.GO);
+  const from = goStation(goOrigin);
+  const to = goStation(goDestination);
+  const savedCents = separate.totalCents - withOneFare.totalCents;
+
+  const route = goLeg.fareSource === 'GO_MATRIX' ? `${from.name} → ${to.name}` : 'minimum fare';
+  let text = `GO ${route}: ${dollars(goLeg.fareCents)}.`;
+  text += savedCents > 0
+    ? ` With One Fare you pay ${dollars(withOneFare.totalCents)} in total instead of ${dollars(separate.totalCents)}.`
+    : ` You pay ${dollars(withOneFare.totalCents)} in total.`;
+
+  return {
+    goOrigin: from?.name ?? goOrigin ?? null,
+    goDestination: to?.name ?? goDestination ?? null,
+    goFareSource: goLeg.fareSource,
+    goLegCents: goLeg.fareCents,
+    legs: withOneFare.taps.map(({ agency, fareCents, chargeCents, discountCents, status }) =>
+      ({ agency, fareCents, chargeCents, discountCents, status })),
+    totalCents: withOneFare.totalCents,
+    withoutOneFareCents: separate.totalCents,
+    savedCents,
+    currency: fareTable.currency,
+    goFaresVersion: goFares.version,
+    text
+  };
+}
+
+/**
+ * Price a journey (agencies in tap order, all within one transfer window) for every fare category.
+ * @returns { fareTableVersion, rulesVersion, currency, oneFareApplied, categories: { [category]: { legs[], totalCents, discountCents } } }
+ */
+export function quoteFare(
+  { legs, paymentMethod = PaymentMethods.PRESTO_CARD, sameCard = true },
+  { clock = systemClock } = {}
+) {
+  const at = dayjs(clock());
+  const rules = rulesAt(at.toISOString());
+  const oneFareApplied = oneFareEligible(legs, paymentMethod, sameCard, rules);
+  const taps = legs.map(agency => ({ agency, at }));
+
+  const categories = {};
+  for (const category of Object.values(FareCategories)) {
+    const r = walkTaps(taps, pricedCategory(category, paymentMethod), oneFareApplied, rules);
+    categories[category] = {
+      legs: r.taps.map(({ agency, fareCents, discountCents, chargeCents }) =>
+        ({ agency, fareCents, discountCents, chargeCents })),
+      totalCents: r.totalCents,
+      discountCents: r.discountCents
+    };
+  }
+
+  return {
+    fareTableVersion: fareTable.version,
+    rulesVersion: rules.version,
+    currency: fareTable.currency,
+    oneFareApplied,
+    categories
+  };
+}
+
+/**
+ * Walk an ordered list of taps ({ agency, tapISO, location?, destination?, route?, routeDirection? })
+ * through the transfer windows. With `rulesPerWindow` each window follows the rules in force at
+ * its first tap instead of the whole trip following the first tap's.
+ * @returns { fareTableVersion, rulesVersion, currency, category, chargedAs, oneFareApplied, taps[], windows[], totalCents, discountCents }
+ */
+export function evaluateTrip({
+  taps,
+  category = FareCategories.ADULT,
+  paymentMethod = PaymentMethods.PRESTO_CARD,
+  sameCard = true,
+  rulesPerWindow = false
+}) {
+  const ordered = taps
+    .map((t, i) => ({ ...t, at: dayjs(t.tapISO), i }))
+    .sort((a, b) => a.at.valueOf() - b.at.valueOf() || a.i - b.i);
+  // Otherwise the rules in force when the first tap happened govern the whole trip
+  const rules = rulesAt(ordered[0]?.tapISO);
+  const agencies = ordered.map(t => t.agency);
+  const oneFareApplied = oneFareEligible(agencies, paymentMethod, sameCard, rules);
+
+  const chargedAs = pricedCategory(category, paymentMethod);
+  const r = rulesPerWindow
+    ? walkTaps(ordered, chargedAs, wr => oneFareEligible(agencies, paymentMethod, sameCard, wr), tap => rulesAt(tap.at.toISOString()))
+    : walkTaps(ordered, chargedAs, oneFareApplied, rules);
+  return {
+    fareTableVersion: fareTable.version,
+    rulesVersion: rules.version,
+    currency: fareTable.currency,
+    category,
+    chargedAs,
+    oneFareApplied,
+    taps: r.taps.map((t, i) => ({
+      ...t,
+      tapISO: ordered[i].at.toISOString(),
+      location: ordered[i].location ?? null,
+      destination: ordered[i].destination ?? null
+    })),
+    windows: r.windows,
+    totalCents: r.totalCents,
+    discountCents: r.discountCents
+  };
+}
+
+/**
+ * Replay a card's tap history (see lib/prestoCsv.js) and flag taps where the One Fare
+ * discount should have applied but the card was charged in full.
+ * @returns { rulesVersion (the latest applied), rulesVersions[], category, taps[], flaggedCount, overchargeCents }
+ */
+export function replayTapHistory(taps, { category = FareCategories.ADULT } = {}) {
+  const ordered = [...taps].sort((a, b) => dayjs(a.tapISO).valueOf() - dayjs(b.tapISO).valueOf());
+  if (!ordered.length) {
+    return { rulesVersion: null, category, taps: [], flaggedCount: 0, overchargeCents: 0 };
+  }
+  // A history can span months, so each window is priced under the rules of its own day
+  const trip = evaluateTrip({ taps: ordered, category, rulesPerWindow: true });
+
+  const out = ordered.map((tap, i) => {
+    const expected = trip.taps[i];
+    let overchargeCents = 0;
+    if (expected.status === TapStatus.FREE) {
+      overchargeCents = tap.chargedCents;
+    } else if (expected.status === TapStatus.DISCOUNTED && tap.discountCents === 0) {
+      // Only trust a missed GO credit when the export says no discount was given
+      overchargeCents = expected.discountCents;
+    }
+    return {
+      ...tap,
+      expected: {
+        status: expected.status,
+        chargeCents: expected.chargeCents,
+        discountCents: expected.discountCents,
+        windowId: expected.windowId,
+        transferFrom: expected.transferFrom
+      },
+      flagged: overchargeCents > 0,
+      overchargeCents
+    };
+  });
+
+  const versions = [...new Set(trip.windows.map(w => w.rulesVersion))];
+  return {
+    rulesVersion: versions[versions.length - 1],
+    rulesVersions: versions,
+    category,
+    taps: out,
+    flaggedCount: out.filter(t => t.flagged).length,
+    overchargeCents: out.reduce((n, t) => n + t.overchargeCents, 0)
   };
 }
 
+export function directionFor(from, to) {
+  if (from === Agencies.TTC && to === Agencies.GO) return Directions.TTC_GO;
+  if (from === Agencies.GO && to === Agencies.TTC) return Directions.GO_TTC;
+  const pair = [from, to];
+  if (pair.includes(Agencies.TTC) && pair.every(isLocal) && from !== to) return Directions.TTC_905;
+  return 'OTHER';
+}
+
+function bump(map, key, init, fn) {
+  const row = map.get(key) || { ...init };
+  fn(row);
+  map.set(key, row);
+}
+
+/**
+ * Aggregate a replayed history (see replayTapHistory) into One Fare savings versus the
+ * old regime, where every tap paid its own full fare. A tap's saving is the discount PRESTO
+ * reported when the export has one, otherwise the discount the engine expects.
+ * @returns { category, rulesVersion, currency, totals, byMonth[], byAgencyPair[], byDirection[] }
+ */
+export function savingsReport(replay) {
+  const byMonth = new Map();
+  const byPair = new Map();
+  const byDirection = new Map();
+  const totals = { taps: 0, transfers: 0, chargedCents: 0, doubleFareCents: 0, savedCents: 0 };
+
+  for (const tap of replay.taps) {
+    const savedCents = tap.discountCents ?? tap.expected.discountCents;
+    const month = dayjs(tap.tapISO).tz('America/Toronto').format('YYYY-MM');
+    const from = tap.expected.transferFrom;
+
+    totals.taps++;
+    totals.chargedCents += tap.chargedCents;
+    totals.savedCents += savedCents;
+
+    bump(byMonth, month, { month, taps: 0, chargedCents: 0, savedCents: 0 }, r => {
+      r.taps++;
+      r.chargedCents += tap.chargedCents;
+      r.savedCents += savedCents;
+    });
+
+    if (!from) continue;
+    totals.transfers++;
+    bump(byPair, `${from}>${tap.agency}`, { from, to: tap.agency, transfers: 0, savedCents: 0 }, r => {
+      r.transfers++;
+      r.savedCents += savedCents;
+    });
+    const direction = directionFor(from, tap.agency);
+    bump(byDirection, direction, { direction, transfers: 0, savedCents: 0 }, r => {
+      r.transfers++;
+      r.savedCents += savedCents;
+    });
+  }
+  totals.doubleFareCents = totals.chargedCents + totals.savedCents;
+
+  const bySaved = (a, b) => b.savedCents - a.savedCents;
+  return {
+    category: replay.category,
+    rulesVersion: replay.rulesVersion,
+    currency: fareTable.currency,
+    totals,
+    byMonth: [...byMonth.values()].sort((a, b) => a.month.localeCompare(b.month)),
+    byAgencyPair: [...byPair.values()].sort(bySaved),
+    byDirection: [...byDirection.values()].sort(bySaved)
+  };
+}
@@ -2,6 +2,8 @@
 import 'dotenv/config';
 import { PORT } from './config.js';
 import { app } from './app.js';
+import { startTtcAdvisoryRefresh } from './lib/ttcAdvisories.js';
+import { queueAlertJobs } from './lib/alertSubscriptions.js';
 // Import the jobs module as a namespace to avoid bare-identifier issues
 import * as Jobs from './routes/jobs.js';
 
@@ -13,6 +15,9 @@ app.listen(port, '0.0.0.0', () => {
   console.log(`API running on port ${port}`);
 });
 
+// Keep the parsed ttc.ca planned advisories warm
+if (process.env.TTC_ADVISORY_REFRESH !== 'false') startTtcAdvisoryRefresh();
+
 
 /**
  * Optional in-process job loop (for Render web services).
@@ -30,6 +35,16 @@ if (process.env.JOBS_LOOP === 'true') {
         console.error('[jobs] runDueSmsJobs not available (did routes/jobs.js export it?)');
         return;
       }
+      // New alerts for subscribers go into the same queue this tick sends; a failure here
+      // must not hold up the fare reminders
+      try {
+        const q = await queueAlertJobs();
+        if (q.queued > 0) {
+          console.log(`[jobs] queued ${q.queued} alert notification(s)`);
+        }
+      } catch (e) {
+        console.error('[jobs] alert subscriptions:', e.message);
+      }
       const r = await fn();
       if (r?.processed > 0) {
         console.log(`[jobs] sent ${r.processed} SMS job(s)`);
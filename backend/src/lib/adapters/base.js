@@ -1,25 +1,93 @@
 // backend/src/lib/adapters/base.js
 
+import { readFile, stat } from 'fs/promises';
+import path from 'path';
+import { pathToFileURL, fileURLToPath } from 'url';
 import GtfsRT from 'gtfs-realtime-bindings';
 
 const DISABLE_RT = String(process.env.DISABLE_RT || '') === '1';
 
 const TransitRealtime = GtfsRT.transit_realtime;
 
-export async function fetchRT(url, { timeoutMs = 8000 } = {}) {
-  if (DISABLE_RT) return { entity: [] }; // neutral empty feed
+// ---------- feed cache ----------
+// One decoded feed per URL, shared by every caller for RT_CACHE_TTL_MS. Concurrent misses
+// share one upstream request, and refreshes are conditional (ETag / Last-Modified).
+const RT_CACHE_TTL_MS = Number(process.env.RT_CACHE_TTL_MS ?? 15000);
+const feedCache = new Map(); // url -> { feed, fetchedAt, etag, lastModified }
+const inflight = new Map();  // url -> Promise<feed>
+
+export function clearFeedCache() {
+  feedCache.clear();
+  inflight.clear();
+}
+
+// ---------- feed source ----------
+// RT_FEED_DIR replays recorded `<agency>-<kind>.pb` files (scripts/record-gtfs-rt.js writes
+// them); RT_FEED_BASE_URL points every adapter at a stand-in server serving the same names.
+// Read per call so tests can switch sources without reloading the adapters.
+export function feedUrl(agency, kind, liveUrl) {
+  const dir = process.env.RT_FEED_DIR;
+  if (dir) return pathToFileURL(path.join(path.resolve(dir), `${agency}-${kind}.pb`)).href;
+  const base = process.env.RT_FEED_BASE_URL;
+  if (base) return `${base.replace(/\/+$/, '')}/${agency}-${kind}.pb`;
+  return liveUrl;
+}
+
+// Recorded file: the mtime stands in for an ETag, so re-recording is picked up on the next refresh
+async function readFeedFile(url, cached) {
+  const file = fileURLToPath(url);
+  const tag = String((await stat(file)).mtimeMs);
+  if (cached?.etag === tag) return null;
+  return { buf: await readFile(file), etag: tag, lastModified: null };
+}
+
+async function requestFeed(url, cached, timeoutMs) {
+  const headers = {};
+  if (cached?.etag) headers['if-none-match'] = cached.etag;
+  if (cached?.lastModified) headers['if-modified-since'] = cached.lastModified;
+
   const ac = new AbortController();
   const t = setTimeout(() => ac.abort(), timeoutMs);
   try {
-    const res = await fetch(url, { signal: ac.signal });
+    const res = await fetch(url, { signal: ac.signal, headers });
+    if (res.status === 304 && cached) return null;
     if (!res.ok) throw new Error(`HTTP ${res.status} for ${url}`);
-    const buf = new Uint8Array(await res.arrayBuffer());
-    return TransitRealtime.FeedMessage.decode(buf);
+    return {
+      buf: new Uint8Array(await res.arrayBuffer()),
+      etag: res.headers.get('etag'),
+      lastModified: res.headers.get('last-modified'),
+    };
   } finally {
     clearTimeout(t);
   }
 }
 
+// Resolves to the cached feed when the source reports it unchanged
+async function downloadFeed(url, cached, timeoutMs) {
+  const got = url.startsWith('file:')
+    ? await readFeedFile(url, cached)
+    : await requestFeed(url, cached, timeoutMs);
+  if (!got) {
+    cached.fetchedAt = Date.now();
+    return cached.feed;
+  }
+  const feed = TransitRealtime.FeedMessage.decode(got.buf);
+  stopIndexFor(feed);
+  feedCache.set(url, { feed, fetchedAt: Date.now(), etag: got.etag, lastModified: got.lastModified });
+  return feed;
+}
+
+export async function fetchRT(url, { timeoutMs = 8000, ttlMs = RT_CACHE_TTL_MS } = {}) {
+  if (DISABLE_RT) return { entity: [] }; // neutral empty feed
+  const cached = feedCache.get(url);
+  if (cached && Date.now() - cached.fetchedAt < ttlMs) return cached.feed;
+  if (inflight.has(url)) return inflight.get(url);
+
+  const p = downloadFeed(url, cached, timeoutMs).finally(() => inflight.delete(url));
+  inflight.set(url, p);
+  return p;
+}
+
 // ---------- normalization ----------
 function stripNonAlnum(s) {
   return String(s ?? '').toLowerCase().replace(/[^a-z0-9]/g, '');
@@ -37,10 +105,8 @@ function routeMatches(feedRouteId, requested) {
   return a.startsWith(b) || b.startsWith(a);
 }
 
-// Default: strict equality (case-insensitive) to avoid cross-stop leakage
-function defaultStopMatcher(rtStopId, wantedStopId) {
-  return String(rtStopId).toLowerCase() === String(wantedStopId).toLowerCase();
-}
+// Default: strict equality (case-insensitive) to avoid cross-stop leakage → an index lookup
+const stopKey = id => String(id ?? '').toLowerCase();
 
 // Brampton: tolerate prefixes/suffixes (e.g., agency prefixes)
 export function looseStopMatcher(rtStopId, wantedStopId) {
@@ -49,9 +115,64 @@ export function looseStopMatcher(rtStopId, wantedStopId) {
   return a === b || a.endsWith(b) || b.endsWith(a);
 }
 
+// DRT/YRT: numeric stop ids, sometimes zero-padded on one side
+export function numericStopMatcher(rtStopId, wantedStopId) {
+  const a = String(rtStopId ?? '').trim().replace(/^0+(?=\d)/, '');
+  const b = String(wantedStopId ?? '').trim().replace(/^0+(?=\d)/, '');
+  return a.toLowerCase() === b.toLowerCase();
+}
+
+// ---------- stop index ----------
+// Per decoded feed: stop key → [{ t, tu, stu }] sorted by time. Built once per feed (the
+// cache hands every caller the same feed object) and dropped with it.
+const stopIndexes = new WeakMap();
+
+export function stopIndexFor(feed) {
+  let index = stopIndexes.get(feed);
+  if (index) return index;
+
+  index = new Map();
+  for (const ent of feed.entity || []) {
+    const tu = ent.tripUpdate;
+    if (!tu) continue;
+    for (const stu of tu.stopTimeUpdate || []) {
+      const t = Number(stu.arrival?.time || stu.departure?.time);
+      if (!Number.isFinite(t) || stu.stopId == null) continue;
+      const key = stopKey(stu.stopId);
+      if (!index.has(key)) index.set(key, []);
+      index.get(key).push({ t, tu, stu });
+    }
+  }
+  for (const rows of index.values()) rows.sort((a, b) => a.t - b.t);
+  stopIndexes.set(feed, index);
+  return index;
+}
+
+// Whole-trip cancellations usually come as a bare TripUpdate with no stop_time_updates, so
+// the stop index never sees them: tripId → 'CANCELED' | 'DELETED', built once per feed
+const tripCancellations = new WeakMap();
+
+export function tripCancellationsFor(feed) {
+  let cancelled = tripCancellations.get(feed);
+  if (cancelled) return cancelled;
+
+  cancelled = new Map();
+  for (const ent of feed.entity || []) {
+    const trip = ent.tripUpdate?.trip;
+    if (!trip?.tripId) continue;
+    const rel = enumName(trip, 'scheduleRelationship', TransitRealtime.TripDescriptor.ScheduleRelationship);
+    if (rel === 'CANCELED') cancelled.set(String(trip.tripId), 'CANCELED');
+    else if (rel === 'DELETED' || rel === '7') cancelled.set(String(trip.tripId), 'DELETED');
+  }
+  tripCancellations.set(feed, cancelled);
+  return cancelled;
+}
+
 /**
  * Extract arrivals at a given stopId from TripUpdates.
  * You can pass a custom stopIdMatcher; otherwise strict match is used.
+ * Cancelled trips and skipped stops stay in the list with `status` set so riders can
+ * see the departure they were waiting for is gone; DELETED trips are dropped.
  */
 export function arrivalsFromTripUpdates(
   feed,
@@ -60,58 +181,243 @@ export function arrivalsFromTripUpdates(
 ) {
   const now = Math.floor(Date.now() / 1000);
   const minTs = Number.isFinite(fromEpochSec) ? fromEpochSec : now;
-  const matchStop = stopIdMatcher || defaultStopMatcher;
+  const index = stopIndexFor(feed);
+
+  // Custom matchers compare against the feed's distinct stop ids, not every stop_time_update
+  const rows = stopIdMatcher
+    ? [...index.keys()].filter(k => stopIdMatcher(k, stopId)).flatMap(k => index.get(k))
+    : (index.get(stopKey(stopId)) || []);
 
   const out = [];
-  for (const ent of feed.entity || []) {
-    const tu = ent.tripUpdate;
-    if (!tu) continue;
+  for (const { t, tu, stu } of rows) {
+    if (t < minTs) continue;
     const trip = tu.trip || {};
     const rtRoute = (trip.routeId ?? '').toString();
-
     if (routeRef && !routeMatches(rtRoute, routeRef)) continue;
+    const status = arrivalStatus(trip, stu);
+    if (!status) continue;
 
-    for (const stu of tu.stopTimeUpdate || []) {
-      if (!matchStop(stu.stopId, stopId)) continue;
-      const t = Number(stu.arrival?.time || stu.departure?.time);
-      if (!Number.isFinite(t) || t < minTs) continue;
-
-      out.push({
-        when: new Date(t * 1000).toISOString(),
-        realtime: true,
-        routeShortName: rtRoute || '',
-        headsign: stu.stopHeadsign || trip.tripId || '',
-        vehicleId: tu.vehicle?.id || undefined,
-      });
-    }
+    // Feeds that publish a delay let us skip the schedule join (see schedule.withScheduleDeviation)
+    const running = status === 'SCHEDULED' || status === 'ADDED';
+    const delaySec = running ? (ownNumber(stu.arrival, 'delay') ?? ownNumber(stu.departure, 'delay')) : null;
+    const when = new Date(t * 1000).toISOString();
+    out.push({
+      when,
+      realtime: true,
+      routeShortName: rtRoute || '',
+      headsign: stu.stopHeadsign || '',
+      vehicleId: tu.vehicle?.id || undefined,
+      tripId: trip.tripId || null,
+      stopId: String(stu.stopId),
+      serviceDate: trip.startDate || null,
+      predictedWhen: when,
+      scheduledWhen: delaySec != null ? new Date((t - delaySec) * 1000).toISOString() : null,
+      delaySec,
+      status,
+    });
   }
   out.sort((a, b) => new Date(a.when) - new Date(b.when));
   return out.slice(0, limit);
 }
 
+function ownNumber(msg, field) {
+  return msg && Object.prototype.hasOwnProperty.call(msg, field) ? Number(msg[field]) : null;
+}
+
+// SCHEDULED | ADDED | CANCELED | SKIPPED, or null for a DELETED trip
+function arrivalStatus(trip, stu) {
+  const { TripDescriptor, TripUpdate } = TransitRealtime;
+  const tripRel = enumName(trip, 'scheduleRelationship', TripDescriptor.ScheduleRelationship);
+  if (tripRel === 'DELETED' || tripRel === '7') return null; // 7 = DELETED, newer than the bundled bindings
+  if (tripRel === 'CANCELED') return 'CANCELED';
+  const stopRel = enumName(stu, 'scheduleRelationship', TripUpdate.StopTimeUpdate.ScheduleRelationship);
+  if (stopRel === 'SKIPPED') return 'SKIPPED';
+  return tripRel === 'ADDED' ? 'ADDED' : 'SCHEDULED';
+}
+
+// Enum fields decode to numbers; unset ones fall back to the prototype default, so check own props
+function enumName(msg, field, Enum) {
+  if (!msg || !Object.prototype.hasOwnProperty.call(msg, field)) return null;
+  return Enum[msg[field]] ?? String(msg[field]);
+}
+
+const toIso = ts => (ts != null && Number(ts) ? new Date(Number(ts) * 1000).toISOString() : null);
+
+/** Decode VehiclePosition entities, optionally limited to one route. */
+export function vehiclesFromFeed(feed, { routeRef } = {}) {
+  const { VehiclePosition } = TransitRealtime;
+  const out = [];
+  for (const ent of feed.entity || []) {
+    const v = ent.vehicle;
+    const pos = v?.position;
+    if (!pos || !Number.isFinite(pos.latitude) || !Number.isFinite(pos.longitude)) continue;
+    const trip = v.trip || {};
+    const routeId = (trip.routeId ?? '').toString();
+    // Exact route on the map: "9" should not also draw the 90s
+    if (routeRef && normalizeRouteKey(routeId) !== normalizeRouteKey(routeRef)) continue;
+
+    out.push({
+      id: v.vehicle?.id || ent.id,
+      label: v.vehicle?.label || v.vehicle?.id || ent.id,
+      lat: pos.latitude,
+      lon: pos.longitude,
+      bearing: Object.prototype.hasOwnProperty.call(pos, 'bearing') ? pos.bearing : null,
+      speed: Object.prototype.hasOwnProperty.call(pos, 'speed') ? pos.speed : null,
+      routeShortName: routeId,
+      tripId: trip.tripId || null,
+      directionId: Object.prototype.hasOwnProperty.call(trip, 'directionId') ? trip.directionId : null,
+      stopId: v.stopId || null,
+      currentStatus: enumName(v, 'currentStatus', VehiclePosition.VehicleStopStatus),
+      occupancy: enumName(v, 'occupancyStatus', VehiclePosition.OccupancyStatus),
+      timestamp: toIso(v.timestamp),
+    });
+  }
+  return out;
+}
+
 // Alerts helper
-export function alertsFromFeed(feed, { routeRef } = {}) {
-  const routeKey = normalizeRouteKey(routeRef);
+export function alertsFromFeed(feed, { routeRef, lang = [], now = Date.now() } = {}) {
   const items = [];
   for (const ent of feed.entity || []) {
     const a = ent.alert;
     if (!a) continue;
-    const informed = (a.informedEntity || []).map(e => e.routeId).filter(Boolean);
-    if (routeKey) {
-      const has = informed.some(r => routeMatches(r, routeKey));
-      if (!has) continue;
-    }
-    items.push({
+    const informed = (a.informedEntity || []).map(informedEntity);
+    const header = pickTranslation(a.headerText, lang);
+    const activePeriods = (a.activePeriod || []).map(p => ({
+      start: toIso(p.start),
+      end: toIso(p.end),
+    })).sort((x, y) => (x.start ? Date.parse(x.start) : -Infinity) - (y.start ? Date.parse(y.start) : -Infinity));
+    const status = periodStatus(activePeriods, now);
+    const item = {
       id: ent.id,
-      headerText: a.headerText?.translation?.[0]?.text || '',
-      descriptionText: a.descriptionText?.translation?.[0]?.text || '',
+      headerText: header.text,
+      descriptionText: pickTranslation(a.descriptionText, lang).text,
+      language: header.language,
+      translations: {
+        headerText: translationsOf(a.headerText),
+        descriptionText: translationsOf(a.descriptionText),
+      },
       cause: a.cause || '',
       effect: a.effect || '',
-      routes: informed,
-      start: a?.activePeriod?.[0]?.start ? new Date(Number(a.activePeriod[0].start) * 1000).toISOString() : null,
-      end: a?.activePeriod?.[0]?.end ? new Date(Number(a.activePeriod[0].end) * 1000).toISOString() : null,
-    });
+      informed,
+      routes: [...new Set(informed.map(e => e.routeId).filter(Boolean))],
+      stops: [...new Set(informed.map(e => e.stopId).filter(Boolean))],
+      activePeriods,
+      activeNow: status.activeNow,
+      nextActive: status.next?.start ?? null,
+      // The period riders care about: the current one, else the next, else the last
+      start: status.shown?.start ?? null,
+      end: status.shown?.end ?? null,
+    };
+    if (routeRef && !alertInScope(item, { routeRef })) continue;
+    items.push(item);
   }
   return items;
 }
 
+// ---------- active periods ----------
+const periodBounds = p => [p.start ? Date.parse(p.start) : -Infinity, p.end ? Date.parse(p.end) : Infinity];
+
+/**
+ * Where `nowMs` falls among an alert's active periods (ISO start/end, either may be null).
+ * No periods at all means the alert is always active.
+ */
+export function periodStatus(periods, nowMs = Date.now()) {
+  if (!periods.length) return { activeNow: true, current: null, next: null, shown: null };
+  const current = periods.find(p => { const [s, e] = periodBounds(p); return s <= nowMs && nowMs <= e; }) || null;
+  const next = periods
+    .filter(p => periodBounds(p)[0] > nowMs)
+    .sort((x, y) => periodBounds(x)[0] - periodBounds(y)[0])[0] || null;
+  return { activeNow: !!current, current, next, shown: current || next || periods[periods.length - 1] };
+}
+
+/** True when any active period overlaps [fromMs, toMs]. Items without periods fall back to start/end. */
+export function activeDuring(alert, fromMs, toMs) {
+  const periods = alert.activePeriods
+    ?? (alert.start || alert.end ? [{ start: alert.start, end: alert.end }] : []);
+  if (!periods.length) return true;
+  return periods.some(p => { const [s, e] = periodBounds(p); return s <= toMs && e >= fromMs; });
+}
+
+// A trip selector counts as its route; string fields decode to '' when unset
+function informedEntity(e) {
+  return {
+    agencyId: e.agencyId || null,
+    routeId: e.routeId || e.trip?.routeId || null,
+    tripId: e.trip?.tripId || null,
+    stopId: e.stopId ? String(e.stopId) : null,
+    routeType: ownNumber(e, 'routeType'),
+  };
+}
+
+// ---------- alert scoping ----------
+const escapeRe = s => String(s).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/** Whole-word (or whole-number) mention of `token` in text, so route "5" doesn't match "505". */
+export function mentions(text, token) {
+  if (!token) return false;
+  return new RegExp(`(^|[^a-z0-9])${escapeRe(String(token).toLowerCase())}([^a-z0-9]|$)`).test(String(text || '').toLowerCase());
+}
+
+/**
+ * Does an alert concern the rider's route and/or stop?
+ * Scope: { routeRef, stopIds (the stop and its station siblings), stopRoutes (lines serving
+ * it), stopTokens (words of the stop name) }. Alerts tagged with informed entities match on
+ * exact route / stop ids; an entity naming only an agency or route type applies everywhere.
+ * Untagged alerts fall back to whole-word mentions in their text.
+ */
+export function alertInScope(alert, { routeRef, stopIds = [], stopRoutes = [], stopTokens = [] } = {}) {
+  const routeKey = routeRef ? normalizeRouteKey(routeRef) : null;
+  const hasStop = stopIds.length > 0;
+  const informed = alert.informed || [];
+
+  if (informed.length) {
+    const stopSet = new Set(stopIds.map(String));
+    const stopRouteKeys = new Set(stopRoutes.map(normalizeRouteKey));
+    return informed.some(e => {
+      const key = e.routeId ? normalizeRouteKey(e.routeId) : null;
+      // A stop-only entity (a closure, an elevator) affects every route serving that stop
+      const routeOk = !routeKey || (key ? key === routeKey : (!e.stopId || stopSet.has(e.stopId)));
+      const stopOk = !hasStop || (e.stopId
+        ? stopSet.has(e.stopId)
+        : (!key || !!routeKey || stopRouteKeys.has(key)));
+      return routeOk && stopOk;
+    });
+  }
+
+  const text = `${alert.headerText || ''} ${alert.descriptionText || ''}`;
+  if (routeRef && !mentions(text, routeRef)) return false;
+  if (hasStop || stopTokens.length) {
+    const tokensOk = stopTokens.length > 0 && stopTokens.every(t => mentions(text, t));
+    const lineOk = stopRoutes.some(r => mentions(text, r));
+    if (!tokensOk && !lineOk) return false;
+  }
+  return true;
+}
+
+// ---------- translated strings ----------
+const baseLang = tag => String(tag || '').toLowerCase().split('-')[0];
+
+/**
+ * Choose one translation of a TranslatedString for the rider's languages (in preference
+ * order, 'fr-CA' also matches 'fr'), falling back to English, an untagged text, then the first.
+ */
+export function pickTranslation(ts, langs = []) {
+  const list = (ts?.translation || []).filter(t => t.text);
+  if (!list.length) return { text: '', language: null };
+  const find = (tag) => list.find(t => String(t.language || '').toLowerCase() === tag)
+    || list.find(t => baseLang(t.language) === baseLang(tag));
+  const hit = langs.map(l => String(l).toLowerCase()).reduce((found, l) => found || find(l), null)
+    || find('en') || list.find(t => !t.language) || list[0];
+  return { text: hit.text, language: hit.language || null };
+}
+
+// Every translation keyed by language tag ('und' when the feed leaves it out)
+function translationsOf(ts) {
+  const out = {};
+  for (const t of ts?.translation || []) {
+    if (t.text && !out[t.language || 'und']) out[t.language || 'und'] = t.text;
+  }
+  return out;
+}
+
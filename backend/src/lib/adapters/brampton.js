@@ -1,5 +1,5 @@
 // backend/src/lib/adapters/brampton.js
-import { fetchRT, arrivalsFromTripUpdates, alertsFromFeed, looseStopMatcher } from './base.js';
+import { fetchRT, feedUrl, arrivalsFromTripUpdates, tripCancellationsFor, alertsFromFeed, vehiclesFromFeed, looseStopMatcher } from './base.js';
 
 // NextRide usually on port 81 (public)
 const urls = {
@@ -9,14 +9,23 @@ const urls = {
 };
 
 export const brampton = {
+  feeds: urls,
   async nextArrivalsByStop(stopId, opts = {}) {
-    const feed = await fetchRT(urls.trips);
+    const feed = await fetchRT(feedUrl('brampton', 'trips', urls.trips));
     // Brampton sometimes prefixes stop IDs → relaxed matcher
     return arrivalsFromTripUpdates(feed, stopId, { ...opts, stopIdMatcher: looseStopMatcher });
   },
-  async alerts(routeRef) {
-    const feed = await fetchRT(urls.alerts);
-    return alertsFromFeed(feed, { routeRef });
+  async tripCancellations() {
+    const feed = await fetchRT(feedUrl('brampton', 'trips', urls.trips));
+    return tripCancellationsFor(feed);
+  },
+  async alerts(routeRef, { lang } = {}) {
+    const feed = await fetchRT(feedUrl('brampton', 'alerts', urls.alerts));
+    return alertsFromFeed(feed, { routeRef, lang });
+  },
+  async vehicles(routeRef) {
+    const feed = await fetchRT(feedUrl('brampton', 'vehicles', urls.vehicles));
+    return vehiclesFromFeed(feed, { routeRef });
   },
 };
 
@@ -1,4 +1,4 @@
-import { fetchRT, arrivalsFromTripUpdates, alertsFromFeed } from './base.js';
+import { fetchRT, feedUrl, arrivalsFromTripUpdates, tripCancellationsFor, alertsFromFeed, vehiclesFromFeed, numericStopMatcher } from './base.js';
 
 const urls = {
   vehicles: process.env.DRT_RT_VEHICLES || 'https://drtonline.durhamregiontransit.com/gtfsrealtime/VehiclePositions',
@@ -7,13 +7,23 @@ const urls = {
 };
 
 export const drt = {
+  feeds: urls,
   async nextArrivalsByStop(stopId, opts = {}) {
-    const feed = await fetchRT(urls.trips);
-    return arrivalsFromTripUpdates(feed, stopId, opts);
+    const feed = await fetchRT(feedUrl('drt', 'trips', urls.trips));
+    // DRT stop ids are numeric; tolerate zero-padding differences with the static GTFS
+    return arrivalsFromTripUpdates(feed, stopId, { ...opts, stopIdMatcher: numericStopMatcher });
   },
-  async alerts(routeRef) {
-    const feed = await fetchRT(urls.alerts);
-    return alertsFromFeed(feed, { routeRef });
+  async tripCancellations() {
+    const feed = await fetchRT(feedUrl('drt', 'trips', urls.trips));
+    return tripCancellationsFor(feed);
+  },
+  async alerts(routeRef, { lang } = {}) {
+    const feed = await fetchRT(feedUrl('drt', 'alerts', urls.alerts));
+    return alertsFromFeed(feed, { routeRef, lang });
+  },
+  async vehicles(routeRef) {
+    const feed = await fetchRT(feedUrl('drt', 'vehicles', urls.vehicles));
+    return vehiclesFromFeed(feed, { routeRef });
   },
 };
 
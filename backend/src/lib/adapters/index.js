@@ -1,14 +1,33 @@
 // backend/src/lib/adapters/index.js
 import { ttc } from './ttc.js';
+import { miway } from './miway.js';
+import { brampton } from './brampton.js';
+import { drt } from './drt.js';
+import { yrt } from './yrt.js';
+
+// Names riders (and the chat parser) use for each system → adapter key
+const ALIASES = {
+  ttc: ['ttc', 'toronto'],
+  miway: ['miway', 'mississauga'],
+  brampton: ['brampton', 'bt', 'zum', 'brampton transit'],
+  drt: ['drt', 'durham', 'durham region transit'],
+  yrt: ['yrt', 'york', 'viva', 'york region', 'york region transit'],
+};
 
 export function normalizeAgency(s) {
-  const x = String(s || '').toLowerCase();
-  if (['ttc','toronto'].includes(x)) return 'ttc';
-  // everything else disabled for now
+  const x = String(s || '').trim().toLowerCase();
+  for (const [key, names] of Object.entries(ALIASES)) {
+    if (names.includes(x)) return key;
+  }
   return '';
 }
 
 export const adapters = {
   ttc,
+  miway,
+  brampton,
+  drt,
+  yrt,
 };
 
+export const agencyKeys = Object.keys(adapters);
@@ -1,5 +1,5 @@
 // backend/src/lib/adapters/miway.js
-import { fetchRT, arrivalsFromTripUpdates, alertsFromFeed } from './base.js';
+import { fetchRT, feedUrl, arrivalsFromTripUpdates, tripCancellationsFor, alertsFromFeed, vehiclesFromFeed } from './base.js';
 
 // MiWay public endpoints (documented by Transitland + MiWay dev page)
 const urls = {
@@ -10,18 +10,27 @@ const urls = {
 };
 
 export const miway = {
+  feeds: urls,
   async nextArrivalsByStop(stopId, opts = {}) {
-    const feed = await fetchRT(urls.trips);
+    const feed = await fetchRT(feedUrl('miway', 'trips', urls.trips));
     // MiWay stop_id generally equals GTFS stop_id → strict match
     return arrivalsFromTripUpdates(feed, stopId, { ...opts });
   },
-  async alerts(routeRef) {
+  async tripCancellations() {
+    const feed = await fetchRT(feedUrl('miway', 'trips', urls.trips));
+    return tripCancellationsFor(feed);
+  },
+  async alerts(routeRef, { lang } = {}) {
     try {
-      const feed = await fetchRT(urls.alerts);
-      return alertsFromFeed(feed, { routeRef });
+      const feed = await fetchRT(feedUrl('miway', 'alerts', urls.alerts));
+      return alertsFromFeed(feed, { routeRef, lang });
     } catch {
       return [];
     }
   },
+  async vehicles(routeRef) {
+    const feed = await fetchRT(feedUrl('miway', 'vehicles', urls.vehicles));
+    return vehiclesFromFeed(feed, { routeRef });
+  },
 };
 
@@ -1,5 +1,5 @@
 // backend/src/lib/adapters/ttc.js
-import { fetchRT, arrivalsFromTripUpdates, alertsFromFeed } from './base.js';
+import { fetchRT, feedUrl, arrivalsFromTripUpdates, tripCancellationsFor, alertsFromFeed, vehiclesFromFeed } from './base.js';
 
 // Public Bustime GTFS-RT endpoints
 const urls = {
@@ -9,14 +9,23 @@ const urls = {
 };
 
 export const ttc = {
+  feeds: urls,
   async nextArrivalsByStop(stopId, opts = {}) {
-    const feed = await fetchRT(urls.trips);
+    const feed = await fetchRT(feedUrl('ttc', 'trips', urls.trips));
     // TTC stop_id in TripUpdates == GTFS stop_id → strict match (default)
     return arrivalsFromTripUpdates(feed, stopId, { ...opts });
   },
-  async alerts(routeRef) {
-    const feed = await fetchRT(urls.alerts);
-    return alertsFromFeed(feed, { routeRef });
+  async tripCancellations() {
+    const feed = await fetchRT(feedUrl('ttc', 'trips', urls.trips));
+    return tripCancellationsFor(feed);
+  },
+  async alerts(routeRef, { lang } = {}) {
+    const feed = await fetchRT(feedUrl('ttc', 'alerts', urls.alerts));
+    return alertsFromFeed(feed, { routeRef, lang });
+  },
+  async vehicles(routeRef) {
+    const feed = await fetchRT(feedUrl('ttc', 'vehicles', urls.vehicles));
+    return vehiclesFromFeed(feed, { routeRef });
   },
 };
 
@@ -1,4 +1,4 @@
-import { fetchRT, arrivalsFromTripUpdates } from './base.js';
+import { fetchRT, feedUrl, arrivalsFromTripUpdates, tripCancellationsFor, vehiclesFromFeed, numericStopMatcher } from './base.js';
 
 const urls = {
   trips:    process.env.YRT_RT_TRIPS    || 'http://rtu.york.ca/gtfsrealtime/TripUpdates',
@@ -6,10 +6,20 @@ const urls = {
 };
 
 export const yrt = {
+  feeds: urls,
   async nextArrivalsByStop(stopId, opts = {}) {
-    const feed = await fetchRT(urls.trips);
-    return arrivalsFromTripUpdates(feed, stopId, opts);
+    const feed = await fetchRT(feedUrl('yrt', 'trips', urls.trips));
+    // YRT publishes numeric stop ids, sometimes zero-padded; match them with leading zeros stripped
+    return arrivalsFromTripUpdates(feed, stopId, { ...opts, stopIdMatcher: numericStopMatcher });
+  },
+  async tripCancellations() {
+    const feed = await fetchRT(feedUrl('yrt', 'trips', urls.trips));
+    return tripCancellationsFor(feed);
+  },
+  async alerts() { return []; },
+  async vehicles(routeRef) {
+    const feed = await fetchRT(feedUrl('yrt', 'vehicles', urls.vehicles));
+    return vehiclesFromFeed(feed, { routeRef });
   },
-  async alerts() { return []; }
 };
 
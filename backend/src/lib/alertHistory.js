@@ -0,0 +1,93 @@
+// backend/src/lib/alertHistory.js
+// Every alert the API has served, with when it was first and last seen. An alert is keyed
+// by its text, routes, stops and active periods, so a reworded alert counts as a new one.
+
+import crypto from 'crypto';
+import { getPool } from '../db.js';
+
+// The same text whichever language the request picked: untagged, else English, else the
+// first published language; planned advisories only have the one text
+function canonicalText(translations, shown) {
+  const langs = Object.keys(translations || {});
+  if (!langs.length) return shown;
+  const lang = ['und', 'en'].find(l => translations[l]) || langs.sort()[0];
+  return translations[lang];
+}
+
+export function alertKey(item) {
+  const sorted = list => [...(list || [])].map(String).sort().join(',');
+  const parts = [
+    canonicalText(item.translations?.headerText, item.headerText),
+    canonicalText(item.translations?.descriptionText, item.descriptionText),
+    sorted(item.routes || item.lines),
+    sorted(item.stops),
+    (item.activePeriods || []).map(p => `${p.start || ''}/${p.end || ''}`).join(','),
+  ];
+  return crypto.createHash('sha1').update(parts.map(p => String(p || '').trim()).join('\n')).digest('hex').slice(0, 16);
+}
+
+/**
+ * Upsert the alerts one source returned (`source` is 'rt' or a planned category) and
+ * resolve to Map(alertKey → first_seen_at ISO).
+ */
+export async function recordAlerts(agency, source, items, { pool = getPool(), now = new Date() } = {}) {
+  if (!pool || !items.length) return new Map();
+  const byKey = new Map(items.map(it => [alertKey(it), it]));
+  const keys = [...byKey.keys()];
+  const col = fn => keys.map(k => fn(byKey.get(k)) ?? null);
+
+  const { rows } = await pool.query(
+    `INSERT INTO alert_history
+       (agency, source, alert_key, header_text, description_text, url, start_at, end_at, payload, first_seen_at, last_seen_at)
+     SELECT $1, $2, k, h, d, u, s::timestamptz, e::timestamptz, p, $9, $9
+       FROM unnest($3::text[], $4::text[], $5::text[], $6::text[], $7::text[], $8::text[], $10::jsonb[])
+         AS t(k, h, d, u, s, e, p)
+     ON CONFLICT (agency, source, alert_key) DO UPDATE SET last_seen_at = EXCLUDED.last_seen_at
+     RETURNING alert_key, first_seen_at`,
+    [
+      agency, source, keys,
+      col(it => it.headerText), col(it => it.descriptionText), col(it => it.url),
+      col(it => it.start), col(it => it.end), now,
+      col(it => JSON.stringify(it)),
+    ]
+  );
+  return new Map(rows.map(r => [r.alert_key, new Date(r.first_seen_at).toISOString()]));
+}
+
+/** Stamp `firstSeenAt` and `isNew` (first seen after the `since` cursor) on each item. */
+export function markNew(items, firstSeen, since) {
+  const sinceMs = since == null ? null : new Date(since).getTime();
+  return items.map(it => {
+    const firstSeenAt = firstSeen.get(alertKey(it)) || null;
+    const isNew = !!firstSeenAt && sinceMs != null && Date.parse(firstSeenAt) > sinceMs;
+    return { ...it, firstSeenAt, isNew };
+  });
+}
+
+/** Stored alerts for an agency, newest first; `since` limits to alerts first seen after it. */
+export async function alertHistory(agency, { since = null, source = null, limit = 50, pool = getPool() } = {}) {
+  if (!pool) return [];
+  const { rows } = await pool.query(
+    `SELECT alert_key, source, header_text, description_text, url, start_at, end_at,
+            first_seen_at, last_seen_at
+       FROM alert_history
+      WHERE agency = $1
+        AND ($2::timestamptz IS NULL OR first_seen_at > $2)
+        AND ($3::text IS NULL OR source = $3)
+      ORDER BY first_seen_at DESC
+      LIMIT $4`,
+    [agency, since, source, limit]
+  );
+  const iso = v => (v ? new Date(v).toISOString() : null);
+  return rows.map(r => ({
+    key: r.alert_key,
+    source: r.source,
+    headerText: r.header_text || '',
+    descriptionText: r.description_text || '',
+    url: r.url || null,
+    start: iso(r.start_at),
+    end: iso(r.end_at),
+    firstSeenAt: iso(r.first_seen_at),
+    lastSeenAt: iso(r.last_seen_at),
+  }));
+}
@@ -0,0 +1,127 @@
+// backend/src/lib/alertSubscriptions.js
+// Riders subscribe a verified SMS recipient or a push subscription to a route and/or stop.
+// Each job tick pulls every subscribed agency's GTFS-RT alerts once and queues one message
+// per (subscription, alert) into sms_reminder_jobs or reminder_jobs.
+
+import { adapters } from './adapters/index.js';
+import { alertInScope, activeDuring } from './adapters/base.js';
+import { getStopId } from './stopResolver.js';
+import { expandStopIdsIfStation, linesAtStopWindow } from './schedule.js';
+import { alertKey, recordAlerts } from './alertHistory.js';
+import { getPool } from '../db.js';
+
+const SMS_MAX = 160;
+
+function normalizeTokensStopName(name) {
+  if (!name) return [];
+  return name.toLowerCase()
+    .replace(/\bstn\b/g, 'station')
+    .replace(/\bstation\b/g, '')
+    .split(/\s+/).filter(Boolean);
+}
+
+/**
+ * The `alertInScope` scope for a route and/or stop: a station expands to its platforms,
+ * plus the lines serving them and the stop name's words for untagged alerts.
+ */
+export async function resolveAlertScope(agencyKey, { routeRef = null, stopRef = '' } = {}) {
+  const scope = { routeRef, stopIds: [], stopRoutes: [], stopTokens: [] };
+  if (!stopRef) return scope;
+  const stopId = await getStopId(agencyKey, stopRef);
+  if (!stopId) return scope;
+
+  let expanded;
+  try { expanded = await expandStopIdsIfStation(agencyKey, stopId); }
+  catch { expanded = [String(stopId)]; }
+  const lines = new Set();
+  for (const sid of expanded) {
+    try {
+      for (const l of await linesAtStopWindow(agencyKey, sid, { windowMin: 1440 })) lines.add(String(l));
+    } catch {}
+  }
+  scope.stopIds = expanded.map(String);
+  scope.stopRoutes = Array.from(lines);
+  scope.stopTokens = normalizeTokensStopName(stopRef);
+  return scope;
+}
+
+/** Plain-text SMS body, without links like the fare reminders. */
+export function alertMessage(sub, alert) {
+  const where = [sub.agency.toUpperCase(), sub.route_ref, sub.stop_ref && `@ ${sub.stop_ref}`].filter(Boolean).join(' ');
+  const text = `One-Fare alert (${where}): ${alert.headerText || alert.descriptionText || 'Service alert'}`;
+  return text.length > SMS_MAX ? `${text.slice(0, SMS_MAX - 1)}…` : text;
+}
+
+/** Push payload, shaped like the fare reminders' in routes/reminders.js. */
+export function alertPayload(sub, alert) {
+  const where = [sub.agency.toUpperCase(), sub.route_ref, sub.stop_ref && `@ ${sub.stop_ref}`].filter(Boolean).join(' ');
+  return { title: `One-Fare alert: ${where}`, body: alert.headerText || alert.descriptionText || '', url: alert.url || '/chat' };
+}
+
+/**
+ * Queue a notification for every alert that appeared after its subscription was created and
+ * is in that subscription's scope. `alert_notifications` makes each pair fire only once.
+ */
+export async function queueAlertJobs({
+  pool = getPool(),
+  fetchAlerts = agency => adapters[agency].alerts(),
+  now = new Date(),
+} = {}) {
+  if (!pool) return { queued: 0, ids: [] };
+
+  const { rows: subs } = await pool.query(
+    `SELECT s.id, s.agency, s.route_ref, s.stop_ref, s.scope, s.created_at,
+            s.recipient_id, s.push_subscription_id
+       FROM alert_subscriptions s
+       LEFT JOIN sms_recipients r ON r.id = s.recipient_id
+      WHERE s.push_subscription_id IS NOT NULL
+         OR (r.verified_at IS NOT NULL AND r.opt_out_at IS NULL);`
+  );
+  if (!subs.length) return { queued: 0, ids: [] };
+
+  const ids = [];
+  for (const agency of new Set(subs.map(s => s.agency))) {
+    if (!adapters[agency]?.alerts) continue;
+    let alerts;
+    try {
+      alerts = (await fetchAlerts(agency)) || [];
+    } catch (e) {
+      console.error(`[alerts] ${agency} feed unavailable:`, e.message);
+      continue;
+    }
+    const current = alerts.filter(a => activeDuring(a, now.getTime(), Infinity));
+    const firstSeen = await recordAlerts(agency, 'rt', current, { pool, now });
+
+    for (const sub of subs.filter(s => s.agency === agency)) {
+      const createdMs = new Date(sub.created_at).getTime();
+      for (const alert of current) {
+        const key = alertKey(alert);
+        if (!(Date.parse(firstSeen.get(key)) > createdMs)) continue;
+        if (!alertInScope(alert, sub.scope || { routeRef: sub.route_ref })) continue;
+
+        // The notification row and the job go in together, or not at all
+        const { rows } = sub.recipient_id
+          ? await pool.query(
+            `WITH n AS (
+               INSERT INTO alert_notifications (subscription_id, alert_key) VALUES ($1, $2)
+               ON CONFLICT DO NOTHING RETURNING subscription_id
+             )
+             INSERT INTO sms_reminder_jobs (recipient_id, fire_at, kind, body, url)
+             SELECT $3, $4, 'ALERT', $5, NULL FROM n
+             RETURNING id;`,
+            [sub.id, key, sub.recipient_id, now, alertMessage(sub, alert)])
+          : await pool.query(
+            `WITH n AS (
+               INSERT INTO alert_notifications (subscription_id, alert_key) VALUES ($1, $2)
+               ON CONFLICT DO NOTHING RETURNING subscription_id
+             )
+             INSERT INTO reminder_jobs (subscription_id, fire_at, kind, payload)
+             SELECT $3, $4, 'ALERT', $5 FROM n
+             RETURNING id;`,
+            [sub.id, key, sub.push_subscription_id, now, alertPayload(sub, alert)]);
+        ids.push(...rows.map(r => r.id));
+      }
+    }
+  }
+  return { queued: ids.length, ids };
+}
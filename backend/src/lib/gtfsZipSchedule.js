@@ -189,7 +189,10 @@ export function ttcNextArrivalsFromSchedule(stopId, { limit = 10, routeRef = nul
       }
       if (row.sec < secCutoff) continue;
       const whenIso = DateTime.fromSeconds(sec0 + row.sec, { zone: 'America/Toronto' }).toISO();
-      out.push({ when: whenIso, realtime: false, routeShortName: rsn, headsign: trip.headsign || '' });
+      out.push({
+        when: whenIso, realtime: false, routeShortName: rsn, headsign: trip.headsign || '',
+        tripId: row.trip_id, scheduledWhen: whenIso, delaySec: null, status: 'SCHEDULED',
+      });
       if (out.length >= limit) break;
     }
   }
@@ -201,6 +204,34 @@ export function ttcNextArrivalsFromSchedule(stopId, { limit = 10, routeRef = nul
   return out.slice(0, limit);
 }
 
+/** Scheduled time at `stopId` (seconds after service-day midnight) for each of `tripIds`. */
+export function ttcScheduledTimesForTrips(stopId, tripIds) {
+  const out = new Map();
+  if (!S.loaded) return out;
+  const wanted = new Set(tripIds.map(String));
+  for (const row of S.stopTimesByStop.get(String(stopId)) || []) {
+    if (wanted.has(row.trip_id)) out.set(row.trip_id, row.sec);
+  }
+  return out;
+}
+
+/** Static headsign and route names for each of `tripIds`, keyed by trip id. */
+export function ttcTripDetails(tripIds) {
+  const out = new Map();
+  if (!S.loaded) return out;
+  for (const id of tripIds.map(String)) {
+    const trip = S.tripsById.get(id);
+    if (!trip) continue;
+    const route = S.routesById.get(trip.route_id);
+    out.set(id, {
+      headsign: trip.headsign,
+      routeShortName: route?.shortName || '',
+      routeLongName: route?.longName || '',
+    });
+  }
+  return out;
+}
+
 /**
  * Compute distinct route_short_name values serving a stop in the next `windowMin` minutes.
  */
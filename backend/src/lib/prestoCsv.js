@@ -0,0 +1,123 @@
+// backend/src/lib/prestoCsv.js
+// Parses the PRESTO "transaction history" CSV export into fare taps.
+
+import { parse } from 'csv-parse/sync';
+import { DateTime } from 'luxon';
+import { Agencies, FareCategories } from '../fareEngine.js';
+
+const ZONE = 'America/Toronto';
+
+// Agency names as they appear in the export → fareEngine agency codes
+const AGENCY_PATTERNS = [
+  [/\bttc\b|toronto transit/i, Agencies.TTC],
+  [/\bgo\b|go transit|metrolinx|up express/i, Agencies.GO],
+  [/brampton/i, Agencies.BRAMPTON],
+  [/durham|\bdrt\b/i, Agencies.DRT],
+  [/miway|mississauga/i, Agencies.MIWAY],
+  [/york region|\byrt\b|\bviva\b/i, Agencies.YRT],
+];
+
+const CATEGORY_PATTERNS = [
+  [/post.?secondary/i, FareCategories.POST_SECONDARY],
+  [/youth|student/i, FareCategories.YOUTH],
+  [/senior/i, FareCategories.SENIOR],
+  [/child/i, FareCategories.CHILD],
+  [/fair pass/i, FareCategories.FAIR_PASS],
+  [/adult|regular/i, FareCategories.ADULT],
+];
+
+const DATE_FORMATS = [
+  'M/d/yyyy h:mm:ss a',
+  'M/d/yyyy h:mm a',
+  'M/d/yyyy H:mm:ss',
+  'M/d/yyyy H:mm',
+  'yyyy-MM-dd HH:mm:ss',
+  'yyyy-MM-dd HH:mm',
+];
+
+function pick(row, ...names) {
+  for (const n of names) {
+    const key = Object.keys(row).find(k => k.trim().toLowerCase() === n);
+    if (key != null && row[key] !== '') return String(row[key]).trim();
+  }
+  return null;
+}
+
+export function agencyFromName(name) {
+  const hit = AGENCY_PATTERNS.find(([re]) => re.test(String(name || '')));
+  return hit ? hit[1] : null;
+}
+
+export function categoryFromServiceClass(name) {
+  const hit = CATEGORY_PATTERNS.find(([re]) => re.test(String(name || '')));
+  return hit ? hit[1] : null;
+}
+
+/** "$3.30", "-$3.30", "($3.30)", "3.30" → cents (sign dropped; null if blank). */
+export function moneyToCents(s) {
+  if (s == null || s === '') return null;
+  const n = Number(String(s).replace(/[()$,\s-]/g, ''));
+  return Number.isFinite(n) ? Math.round(n * 100) : null;
+}
+
+function parseDate(s) {
+  if (!s) return null;
+  for (const f of DATE_FORMATS) {
+    const dt = DateTime.fromFormat(s, f, { zone: ZONE });
+    if (dt.isValid) return dt;
+  }
+  const iso = DateTime.fromISO(s, { zone: ZONE });
+  return iso.isValid ? iso : null;
+}
+
+/**
+ * @returns { taps: [{ tapISO, agency, location, destination?, type, chargedCents, discountCents, category }], skipped }
+ * GO tap-off rows are folded into the preceding GO tap so each tap carries its final charge.
+ */
+export function parsePrestoCsv(text) {
+  const rows = parse(String(text || '').replace(/^﻿/, ''), {
+    columns: true,
+    skip_empty_lines: true,
+    trim: true,
+    relax_column_count: true,
+  });
+
+  let skipped = 0;
+  const records = [];
+  for (const row of rows) {
+    const agency = agencyFromName(pick(row, 'transit agency', 'service provider', 'agency'));
+    const dt = parseDate(pick(row, 'date', 'date/time', 'transaction date'));
+    if (!agency || !dt) { skipped++; continue; }
+    records.push({ row, agency, dt, type: pick(row, 'type', 'transaction type', 'transaction') || '' });
+  }
+  // Exports are newest-first; walk oldest-first so tap-offs follow their tap-on
+  records.sort((a, b) => a.dt.toMillis() - b.dt.toMillis());
+
+  const taps = [];
+  for (const { row, agency, dt, type } of records) {
+    const chargedCents = moneyToCents(pick(row, 'amount', 'fare', 'amount charged'));
+
+    if (/tap.?off|adjust/i.test(type)) {
+      // GO charges a default fare at tap-on and refunds the difference at tap-off
+      const prev = taps.findLast(t => t.agency === agency);
+      if (prev && chargedCents != null) {
+        prev.chargedCents = Math.max(0, prev.chargedCents - chargedCents);
+        prev.destination = pick(row, 'location', 'stop', 'station') || null;
+      } else skipped++;
+      continue;
+    }
+    if (/load|purchase|refund|balance/i.test(type)) { skipped++; continue; }
+
+    taps.push({
+      tapISO: dt.toUTC().toISO(),
+      agency,
+      location: pick(row, 'location', 'stop', 'station'),
+      type,
+      chargedCents: chargedCents ?? 0,
+      discountCents: moneyToCents(pick(row, 'discount', 'discount applied')),
+      category: categoryFromServiceClass(pick(row, 'service class', 'fare type', 'concession')),
+    });
+  }
+
+  return { taps, skipped };
+}
@@ -1,12 +1,15 @@
 // backend/src/lib/schedule.js
 // Selects DB-backed schedule when USE_DB_SCHEDULE=1, else the dev ZIP loader.
 
+import { DateTime } from 'luxon';
 import * as dbSched from './scheduleDb.js';
 import {
   loadTtcGtfsFromUrl,
   ttcNextArrivalsFromSchedule,
   expandStopIdsStationAware,
   ttcLinesAtStopInWindow,
+  ttcScheduledTimesForTrips,
+  ttcTripDetails,
 } from './gtfsZipSchedule.js';
 
 const useDb = String(process.env.USE_DB_SCHEDULE || '') === '1';
@@ -14,12 +17,16 @@ const useDb = String(process.env.USE_DB_SCHEDULE || '') === '1';
 let nextArrivalsFromSchedule;
 let expandStopIdsIfStation;
 let linesAtStopWindow;
+let scheduledTimesForTrips;
+let tripDetails;
 
 if (useDb) {
   // Cockroach-backed
   nextArrivalsFromSchedule = dbSched.nextArrivalsFromSchedule;
   expandStopIdsIfStation   = dbSched.expandStopIdsIfStation;
   linesAtStopWindow        = dbSched.linesAtStopWindow;
+  scheduledTimesForTrips   = dbSched.scheduledTimesForTrips;
+  tripDetails              = dbSched.tripDetails;
 } else {
   // Zero-DB (dev-only) loader
   let loadOncePromise = null;
@@ -52,7 +59,113 @@ if (useDb) {
     await ensureLoaded();
     return ttcLinesAtStopInWindow(stopId, { windowMin });
   };
+
+  scheduledTimesForTrips = async (agencyKey, stopId, tripIds) => {
+    const ag = String(agencyKey || '').toLowerCase();
+    if (ag !== 'ttc' || !tripIds.length) return new Map();
+    await ensureLoaded();
+    return ttcScheduledTimesForTrips(stopId, tripIds);
+  };
+
+  tripDetails = async (agencyKey, tripIds) => {
+    const ag = String(agencyKey || '').toLowerCase();
+    if (ag !== 'ttc' || !tripIds.length) return new Map();
+    await ensureLoaded();
+    return ttcTripDetails(tripIds);
+  };
+}
+
+/**
+ * Absolute time of a GTFS stop time (`sec` after service-day midnight, may exceed 24h).
+ * Uses the trip's start date when the feed gives one, else the service day that lands
+ * closest to the predicted time (late-night trips belong to yesterday's service).
+ */
+export function serviceDayTime(sec, predictedISO, serviceDate) {
+  const zone = 'America/Toronto';
+  if (serviceDate) {
+    return DateTime.fromFormat(String(serviceDate), 'yyyyLLdd', { zone }).startOf('day').plus({ seconds: sec });
+  }
+  const predicted = DateTime.fromISO(predictedISO, { zone });
+  const days = [-1, 0, 1].map(d => predicted.startOf('day').plus({ days: d, seconds: sec }));
+  return days.reduce((best, t) => (Math.abs(t - predicted) < Math.abs(best - predicted) ? t : best));
+}
+
+/** Fill scheduledWhen/delaySec on realtime arrivals by joining their trip ids against stop_times. */
+export async function withScheduleDeviation(agencyKey, arrivals, { lookup = scheduledTimesForTrips } = {}) {
+  const byStop = new Map();
+  for (const a of arrivals) {
+    if (!a.realtime || a.delaySec != null || !a.tripId || !a.stopId) continue;
+    if (a.status === 'CANCELED' || a.status === 'SKIPPED') continue;
+    if (!byStop.has(a.stopId)) byStop.set(a.stopId, []);
+    byStop.get(a.stopId).push(a);
+  }
+  for (const [stopId, list] of byStop) {
+    let times;
+    try { times = await lookup(agencyKey, stopId, list.map(a => a.tripId)); }
+    catch { continue; }
+    for (const a of list) {
+      const sec = times.get(String(a.tripId));
+      if (sec == null) continue;
+      const scheduled = serviceDayTime(sec, a.when, a.serviceDate);
+      a.scheduledWhen = scheduled.toUTC().toISO();
+      a.delaySec = Math.round((Date.parse(a.when) - scheduled.toMillis()) / 1000);
+    }
+  }
+  return arrivals;
+}
+
+/**
+ * Replace the feed's raw route id / trip id labels on realtime arrivals with the
+ * static trip_headsign and route names. Arrivals whose trip isn't in the static
+ * schedule keep what the feed gave them.
+ */
+export async function withTripDetails(agencyKey, arrivals, { lookup = tripDetails } = {}) {
+  const tripIds = [...new Set(arrivals.filter(a => a.realtime && a.tripId).map(a => String(a.tripId)))];
+  if (!tripIds.length) return arrivals;
+  let details;
+  try { details = await lookup(agencyKey, tripIds); }
+  catch { return arrivals; }
+  for (const a of arrivals) {
+    const d = a.realtime && a.tripId ? details.get(String(a.tripId)) : null;
+    if (!d) continue;
+    // A stop-level headsign from the feed is more specific than the trip's
+    if (d.headsign && !a.headsign) a.headsign = d.headsign;
+    if (d.routeShortName) a.routeShortName = d.routeShortName;
+    if (d.routeLongName) a.routeLongName = d.routeLongName;
+  }
+  return arrivals;
+}
+
+/**
+ * Merge realtime and scheduled departures per trip: a trip with a realtime prediction
+ * (including a cancellation) replaces its scheduled departure, every other scheduled
+ * departure is kept. `cancelled` (tripId → 'CANCELED' | 'DELETED', see
+ * adapter.tripCancellations) covers trips cancelled as a whole, which have no prediction at
+ * any stop: their scheduled departures are marked CANCELED, or dropped when DELETED.
+ * Each item is tagged with `source`.
+ */
+export function mergeRealtimeAndSchedule(realtime, scheduled, { limit, cancelled = new Map() } = {}) {
+  const rtTrips = new Set(realtime.filter(a => a.tripId).map(a => String(a.tripId)));
+  const out = [...realtime.map(a => ({ ...a, source: 'rt' }))];
+  for (const a of scheduled) {
+    const tripId = a.tripId ? String(a.tripId) : null;
+    if (tripId && rtTrips.has(tripId)) continue;
+    const rel = tripId ? cancelled.get(tripId) : null;
+    if (rel === 'DELETED') continue;
+    out.push(rel === 'CANCELED'
+      ? { ...a, status: 'CANCELED', delaySec: null, source: 'rt' }
+      : { ...a, source: 'schedule' });
+  }
+  out.sort((a, b) => new Date(a.when) - new Date(b.when));
+  return typeof limit === 'number' ? out.slice(0, limit) : out;
+}
+
+/** 'rt' / 'schedule' when every arrival came from one side, else 'mixed'. */
+export function arrivalsSource(arrivals) {
+  const sources = new Set(arrivals.map(a => a.source));
+  if (sources.size > 1) return 'mixed';
+  return sources.has('schedule') ? 'schedule' : 'rt';
 }
 
-export { nextArrivalsFromSchedule, expandStopIdsIfStation, linesAtStopWindow };
+export { nextArrivalsFromSchedule, expandStopIdsIfStation, linesAtStopWindow, scheduledTimesForTrips, tripDetails };
 
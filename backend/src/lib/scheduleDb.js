@@ -121,6 +121,7 @@ export async function nextArrivalsFromSchedule(agencyKey, stopId, { limit=10, ro
     const q = `
       ${activeServiceIdsCTE('active')}
       SELECT st.departure_seconds  AS depsec,
+             st.trip_id,
              coalesce(r.route_short_name,'') AS route_short_name,
              coalesce(t.trip_headsign,'')    AS headsign
         FROM stop_times st
@@ -137,12 +138,19 @@ export async function nextArrivalsFromSchedule(agencyKey, stopId, { limit=10, ro
        LIMIT $5`;
     const { rows } = await pool.query(q, [dateStr, String(stopId), secCutoff, normRef, limit]);
     const base = DateTime.fromISO(dateStr, { zone: 'America/Toronto' }).startOf('day');
-    return rows.map(r => ({
-      when: base.plus({ seconds: Number(r.depsec) }).toISO(),
-      realtime: false,
-      routeShortName: r.route_short_name,
-      headsign: r.headsign
-    }));
+    return rows.map(r => {
+      const when = base.plus({ seconds: Number(r.depsec) }).toISO();
+      return {
+        when,
+        realtime: false,
+        routeShortName: r.route_short_name,
+        headsign: r.headsign,
+        tripId: String(r.trip_id),
+        scheduledWhen: when,
+        delaySec: null,
+        status: 'SCHEDULED'
+      };
+    });
   }
 
   const out = await queryDay(todayISO, secNow);
@@ -152,6 +160,39 @@ export async function nextArrivalsFromSchedule(agencyKey, stopId, { limit=10, ro
   return [...out, ...more].slice(0, limit);
 }
 
+/** Scheduled time at `stopId` (seconds after service-day midnight) for each of `tripIds`. */
+export async function scheduledTimesForTrips(agencyKey, stopId, tripIds, { pool = getPool() } = {}) {
+  if (!pool || !tripIds.length) return new Map();
+  const { rows } = await pool.query(
+    `SELECT st.trip_id, coalesce(st.arrival_seconds, st.departure_seconds) AS sec
+       FROM stop_times st
+       JOIN trips t ON t.trip_id = st.trip_id
+      WHERE t.agency = $1 AND st.stop_id = $2 AND st.trip_id = ANY($3::text[])`,
+    [String(agencyKey || '').toUpperCase(), String(stopId), tripIds.map(String)]
+  );
+  return new Map(rows.map(r => [String(r.trip_id), Number(r.sec)]));
+}
+
+/** Static headsign and route names for each of `tripIds`, keyed by trip id. */
+export async function tripDetails(agencyKey, tripIds) {
+  const pool = getPool(); if (!pool || !tripIds.length) return new Map();
+  const { rows } = await pool.query(
+    `SELECT t.trip_id,
+            coalesce(t.trip_headsign,'')    AS headsign,
+            coalesce(r.route_short_name,'') AS route_short_name,
+            coalesce(r.route_long_name,'')  AS route_long_name
+       FROM trips t
+       JOIN routes r ON r.route_id = t.route_id
+      WHERE t.agency = $1 AND t.trip_id = ANY($2::text[])`,
+    [String(agencyKey || '').toUpperCase(), tripIds.map(String)]
+  );
+  return new Map(rows.map(r => [String(r.trip_id), {
+    headsign: r.headsign,
+    routeShortName: r.route_short_name,
+    routeLongName: r.route_long_name,
+  }]));
+}
+
 export async function linesAtStopWindow(agencyKey, stopId, { windowMin = 60 } = {}) {
   const pool = getPool(); if (!pool) return [];
   const { todayISO, secNow } = nowParts();
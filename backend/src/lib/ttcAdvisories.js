@@ -0,0 +1,221 @@
+// backend/src/lib/ttcAdvisories.js
+// Planned TTC service advisories scraped from ttc.ca, parsed into structured items and
+// cached per page. GTFS-RT only carries live disruptions; closures and diversions are
+// announced here days ahead.
+
+import crypto from 'crypto';
+import { parse } from 'node-html-parser';
+import { DateTime } from 'luxon';
+
+export const ADVISORY_PAGES = {
+  service_changes: 'https://www.ttc.ca/service-advisories/Service-Changes',
+  subway: 'https://www.ttc.ca/service-advisories/subway-service',
+  streetcar: 'https://www.ttc.ca/service-advisories/Streetcar-Service-Changes',
+  accessibility: 'https://www.ttc.ca/service-advisories/accessibility',
+  construction: 'https://www.ttc.ca/service-advisories/construction-notices',
+};
+
+const ZONE = 'America/Toronto';
+const ADVISORY_TTL_MS = Number(process.env.TTC_ADVISORY_TTL_MS ?? 15 * 60 * 1000);
+
+// ---------- parsing ----------
+const HEADINGS = 'h2, h3, h4';
+const isHeading = el => /^H[2-4]$/.test(el?.tagName || '');
+const clean = s => String(s || '').replace(/\u00a0/g, ' ').replace(/[ \t]+/g, ' ').replace(/\s*\n\s*/g, '\n').trim();
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+const DATE_RE = /(?:\b(?:mon|tues|wednes|thurs|fri|satur|sun)day,?\s+)?\b(jan(?:uary)?|feb(?:ruary)?|mar(?:ch)?|apr(?:il)?|may|june?|july?|aug(?:ust)?|sept?(?:ember)?|oct(?:ober)?|nov(?:ember)?|dec(?:ember)?)\.?\s+(\d{1,2})(?:st|nd|rd|th)?(?:,?\s+(\d{4}))?(?:,?\s+(?:at|from)\s+(\d{1,2})(?::(\d{2}))?\s*([ap])\.?\s*m\.?)?/i;
+const NOT_ROUTE_WORDS = new Set([
+  'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday',
+  'minutes', 'metres', 'am', 'pm', 'a.m', 'p.m',
+]);
+
+// "September 6, 2025 at 11 p.m." → DateTime in Toronto; dates without a year take `now`'s, or
+// the next year's when that would land before `after` (an end following a December start).
+// Without a time of day a start means the start of that day and an end the end of it.
+function parseDate(match, now, { end = false, after = null } = {}) {
+  const [, mon, day, year, hour, minute, ampm] = match;
+  const month = MONTHS.indexOf(mon.slice(0, 3).toLowerCase()) + 1;
+  let dt = DateTime.fromObject({ year: Number(year) || now.year, month, day: Number(day) }, { zone: ZONE });
+  if (!dt.isValid) return null;
+  if (hour) {
+    const h = (Number(hour) % 12) + (ampm.toLowerCase() === 'p' ? 12 : 0);
+    dt = dt.set({ hour: h, minute: Number(minute || 0) });
+  } else if (end) {
+    dt = dt.endOf('day');
+  }
+  if (!year && after && dt < after) dt = dt.plus({ years: 1 });
+  return dt;
+}
+
+function findDate(text, now, opts) {
+  const m = text.match(DATE_RE);
+  return m ? parseDate(m, now, opts) : null;
+}
+
+// <time datetime> first, then "Effective/Starts … to/Ends …" wording
+function advisoryDates(nodes, text, now) {
+  const times = nodes.flatMap(n => n.querySelectorAll('time[datetime]'))
+    .map(t => DateTime.fromISO(t.getAttribute('datetime'), { zone: ZONE }))
+    .filter(dt => dt.isValid);
+  if (times.length) return { start: times[0], end: times[1] || null };
+
+  const labelled = (re, opts) => {
+    const m = text.match(re);
+    return m ? findDate(text.slice(m.index + m[0].length), now, opts) : null;
+  };
+  let start = labelled(/\b(?:effective|starts?|starting|begins|beginning|from)\b:?\s*/i);
+  let end = labelled(/\b(?:ends?|ending|until|through)\b:?\s*/i, { end: true, after: start });
+  if (start && !end) {
+    // "Saturday, September 6 to Sunday, September 7"
+    const range = new RegExp(`${DATE_RE.source}\\s*(?:to|until|through|-|–)\\s*${DATE_RE.source}`, 'i').exec(text);
+    if (range) end = parseDate([null, ...range.slice(7, 13)], now, { end: true, after: start });
+  }
+  if (!start && !end) start = findDate(text, now);
+  return { start, end };
+}
+
+// Lines named in the title; the body only when the title names none, since bodies also
+// mention alternatives ("use the 30 Lambton bus")
+function advisoryLines(title, text) {
+  const find = (str) => {
+    const lines = new Set();
+    const undated = str.replace(new RegExp(DATE_RE.source, 'gi'), ' ');
+    for (const m of undated.matchAll(/\bLine\s+([1-6])\b/gi)) lines.add(m[1]);
+    // Surface routes are written "504 King", "505 Dundas"
+    for (const m of undated.matchAll(/\b(\d{1,3})[ \t]+([A-Z][A-Za-z'.-]+)/g)) {
+      if (!NOT_ROUTE_WORDS.has(m[2].toLowerCase().replace(/\.$/, '')) && !/^line$/i.test(m[2])) lines.add(m[1]);
+    }
+    return [...lines].sort((a, b) => a.localeCompare(b, undefined, { numeric: true }));
+  };
+  const fromTitle = find(title);
+  return fromTitle.length ? fromTitle : find(text);
+}
+
+function advisoryStations(text) {
+  const names = new Set();
+  const name = "[A-Z][\\w'’.-]*(?:\\s+[A-Z][\\w'’.-]*)*";
+  for (const m of text.matchAll(new RegExp(`\\bbetween\\s+(${name})\\s+and\\s+(${name})\\s+stations\\b`, 'g'))) {
+    names.add(m[1]); names.add(m[2]);
+  }
+  for (const m of text.matchAll(new RegExp(`(${name})\\s+[Ss]tation\\b`, 'g'))) names.add(m[1]);
+  return [...names].filter(n => !/^(The|No|All|At|To|And)$/.test(n));
+}
+
+function shuttleInfo(text) {
+  const sentences = text.split(/(?<=[.!?])\s+|\n/).filter(s => /\bshuttle/i.test(s));
+  return sentences.length ? { text: sentences.join(' '), stations: advisoryStations(sentences.join(' ')) } : null;
+}
+
+// The advisory's own content: a wrapper (card/article) holding just this heading, or in a flat
+// page the siblings up to the next heading
+function advisoryBody(heading, root) {
+  let box = heading;
+  while (box.parentNode && box.parentNode !== root && box.parentNode.querySelectorAll(HEADINGS).length === 1) {
+    box = box.parentNode;
+  }
+  if (box !== heading) return [box];
+  const nodes = [];
+  for (let n = heading.nextElementSibling; n && !isHeading(n) && !n.querySelector(HEADINGS); n = n.nextElementSibling) {
+    nodes.push(n);
+  }
+  return nodes;
+}
+
+/**
+ * Parse a ttc.ca advisories page into
+ * [{ id, headerText, descriptionText, lines, stations, start, end, shuttle, url, informed }].
+ * `informed` lists the parsed lines as route ids so alert scoping can match them exactly.
+ */
+export function parseTtcAdvisories(html, pageUrl, { now = DateTime.now().setZone(ZONE) } = {}) {
+  const doc = parse(String(html || ''));
+  doc.querySelectorAll('script, style, noscript, template').forEach(n => n.remove());
+  const root = doc.querySelector('main') || doc.querySelector('#main-content') || doc.querySelector('body') || doc;
+
+  const items = [];
+  for (const heading of root.querySelectorAll(HEADINGS)) {
+    if (heading.closest('nav, header, footer, aside')) continue;
+    const headerText = clean(heading.text);
+    if (!headerText) continue;
+    const nodes = advisoryBody(heading, root);
+    const body = clean(nodes.map(n => n.structuredText).join('\n'));
+    const descriptionText = clean(body.startsWith(headerText) ? body.slice(headerText.length) : body);
+    if (!descriptionText) continue; // section titles, not advisories
+
+    const link = [heading, ...nodes].map(n => (n.tagName === 'A' ? n : n.querySelector('a[href]'))).find(Boolean);
+    const url = link ? new URL(link.getAttribute('href'), pageUrl).toString() : pageUrl;
+    const { start, end } = advisoryDates(nodes, descriptionText, now);
+    const lines = advisoryLines(headerText, descriptionText);
+
+    items.push({
+      id: crypto.createHash('sha1').update(`${url}|${headerText}`).digest('hex').slice(0, 12),
+      headerText,
+      descriptionText,
+      lines,
+      stations: advisoryStations(`${headerText}\n${descriptionText}`),
+      start: start ? start.toUTC().toISO() : null,
+      end: end ? end.toUTC().toISO() : null,
+      shuttle: shuttleInfo(descriptionText),
+      url,
+      informed: lines.map(routeId => ({ agencyId: null, routeId, tripId: null, stopId: null, routeType: null })),
+    });
+  }
+  return items;
+}
+
+// ---------- cache ----------
+const cache = new Map();    // category -> { items, fetchedAt }
+const inflight = new Map(); // category -> Promise<items>
+
+export function clearTtcAdvisoryCache() {
+  cache.clear();
+  inflight.clear();
+}
+
+async function download(url) {
+  const ac = new AbortController();
+  const t = setTimeout(() => ac.abort(), 10000);
+  try {
+    const r = await fetch(url, { signal: ac.signal, headers: { 'user-agent': 'Mozilla/5.0' } });
+    if (!r.ok) throw new Error(`Fetch failed ${r.status} for ${url}`);
+    return await r.text();
+  } finally {
+    clearTimeout(t);
+  }
+}
+
+/**
+ * Advisories for one page category (unknown categories read Service Changes). Served from
+ * cache for TTC_ADVISORY_TTL_MS; if a refresh fails the last good copy is kept.
+ */
+export async function getTtcAdvisories(category, { ttlMs = ADVISORY_TTL_MS, fetchText = download } = {}) {
+  const key = ADVISORY_PAGES[category] ? category : 'service_changes';
+  const cached = cache.get(key);
+  if (cached && Date.now() - cached.fetchedAt < ttlMs) return cached.items;
+  if (inflight.has(key)) return inflight.get(key);
+
+  const url = ADVISORY_PAGES[key];
+  const p = fetchText(url)
+    .then(html => {
+      const items = parseTtcAdvisories(html, url);
+      cache.set(key, { items, fetchedAt: Date.now() });
+      return items;
+    })
+    .catch(e => {
+      if (cached) return cached.items;
+      throw e;
+    })
+    .finally(() => inflight.delete(key));
+  inflight.set(key, p);
+  return p;
+}
+
+/** Re-read every advisory page every `intervalMs` so requests rarely wait on ttc.ca. */
+export function startTtcAdvisoryRefresh(intervalMs = ADVISORY_TTL_MS) {
+  const refresh = () => Promise.all(Object.keys(ADVISORY_PAGES).map(c =>
+    getTtcAdvisories(c, { ttlMs: 0 }).catch(e => console.error(`[advisories] ${c}: ${e.message}`))));
+  const timer = setInterval(refresh, intervalMs);
+  timer.unref?.();
+  refresh();
+  return timer;
+}
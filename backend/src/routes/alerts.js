@@ -0,0 +1,122 @@
+// backend/src/routes/alerts.js
+import { Router } from 'express';
+import { getPool } from '../db.js';
+import { alertSubscriptionBodySchema } from '../validators.js';
+import { adapters, normalizeAgency } from '../lib/adapters/index.js';
+import { resolveAlertScope } from '../lib/alertSubscriptions.js';
+
+const NO_DB = 'Alert subscriptions not configured (no DATABASE_URL).';
+
+function toJson(row) {
+  return {
+    id: row.id,
+    agency: row.agency,
+    routeRef: row.route_ref,
+    stopRef: row.stop_ref,
+    channel: row.recipient_id ? 'sms' : 'push',
+    createdAt: new Date(row.created_at).toISOString(),
+  };
+}
+
+// ?recipientId= or ?pushSubscriptionId= : whose subscriptions to read or remove
+function ownerFrom(query) {
+  if (query.recipientId) return { column: 'recipient_id', id: String(query.recipientId) };
+  if (query.pushSubscriptionId) return { column: 'push_subscription_id', id: String(query.pushSubscriptionId) };
+  return null;
+}
+
+export function alertsRouter({ db = getPool } = {}) {
+  const r = Router();
+
+  // POST /api/alerts/subscriptions  { recipientId | pushSubscriptionId, agency, routeRef?, stopRef? }
+  r.post('/subscriptions', async (req, res) => {
+    const pool = db();
+    if (!pool) return res.status(501).json({ error: NO_DB });
+
+    const parse = alertSubscriptionBodySchema.safeParse(req.body);
+    if (!parse.success) {
+      return res.status(400).json({ error: 'Invalid body', details: parse.error.flatten() });
+    }
+    const { recipientId, pushSubscriptionId, routeRef = null, stopRef = null } = parse.data;
+    const agency = normalizeAgency(parse.data.agency);
+    if (!adapters[agency]?.alerts) return res.status(400).json({ error: `Unsupported agency: ${parse.data.agency}` });
+
+    try {
+      // Only verified, opted-in phones; push subscriptions just have to exist
+      const { rows: ok } = recipientId
+        ? await pool.query(
+          `SELECT 1 FROM sms_recipients WHERE id = $1 AND verified_at IS NOT NULL AND opt_out_at IS NULL LIMIT 1`,
+          [recipientId])
+        : await pool.query(`SELECT 1 FROM push_subscriptions WHERE id = $1 LIMIT 1`, [pushSubscriptionId]);
+      if (!ok.length) {
+        return res.status(400).json({ error: recipientId ? 'recipient not verified' : 'Unknown pushSubscriptionId' });
+      }
+
+      const owner = recipientId ? { column: 'recipient_id', id: recipientId } : { column: 'push_subscription_id', id: pushSubscriptionId };
+      const { rows: existing } = await pool.query(
+        `SELECT * FROM alert_subscriptions
+          WHERE ${owner.column} = $1 AND agency = $2
+            AND route_ref IS NOT DISTINCT FROM $3 AND stop_ref IS NOT DISTINCT FROM $4
+          LIMIT 1`,
+        [owner.id, agency, routeRef, stopRef]
+      );
+      if (existing.length) return res.json(toJson(existing[0]));
+
+      const scope = await resolveAlertScope(agency, { routeRef, stopRef });
+      if (stopRef && !scope.stopIds.length) return res.status(404).json({ error: `Stop not found: ${stopRef}` });
+
+      const { rows } = await pool.query(
+        `INSERT INTO alert_subscriptions (recipient_id, push_subscription_id, agency, route_ref, stop_ref, scope)
+         VALUES ($1, $2, $3, $4, $5, $6)
+         RETURNING *;`,
+        [recipientId || null, pushSubscriptionId || null, agency, routeRef, stopRef, scope]
+      );
+      res.status(201).json(toJson(rows[0]));
+    } catch (e) {
+      res.status(500).json({ error: String(e?.message || e) });
+    }
+  });
+
+  // GET /api/alerts/subscriptions?recipientId=… | ?pushSubscriptionId=…
+  r.get('/subscriptions', async (req, res) => {
+    const pool = db();
+    if (!pool) return res.status(501).json({ error: NO_DB });
+    const owner = ownerFrom(req.query);
+    if (!owner) return res.status(400).json({ error: 'recipientId or pushSubscriptionId required' });
+
+    try {
+      const { rows } = await pool.query(
+        `SELECT * FROM alert_subscriptions WHERE ${owner.column} = $1 ORDER BY created_at DESC`,
+        [owner.id]
+      );
+      res.json({ items: rows.map(toJson) });
+    } catch (e) {
+      res.status(500).json({ error: String(e?.message || e) });
+    }
+  });
+
+  // DELETE /api/alerts/subscriptions/:id?recipientId=… | ?pushSubscriptionId=…
+  r.delete('/subscriptions/:id', async (req, res) => {
+    const pool = db();
+    if (!pool) return res.status(501).json({ error: NO_DB });
+    const owner = ownerFrom(req.query);
+    if (!owner) return res.status(400).json({ error: 'recipientId or pushSubscriptionId required' });
+
+    try {
+      const { rowCount } = await pool.query(
+        `DELETE FROM alert_subscriptions WHERE id = $1 AND ${owner.column} = $2`,
+        [req.params.id, owner.id]
+      );
+      if (!rowCount) return res.status(404).json({ error: 'Subscription not found' });
+      res.json({ ok: true });
+    } catch (e) {
+      res.status(500).json({ error: String(e?.message || e) });
+    }
+  });
+
+  return r;
+}
+
+export const router = alertsRouter();
+
+export default router;
@@ -41,9 +41,11 @@ router.post('/parse', (req, res) => {
   else if (/(route|termini|stops)/.test(text)) intent = 'route';
 
   // agency
+  // Whole words only, and no bare "york": TTC stations (Yorkdale, York Mills, North York
+  // Centre) would otherwise pick YRT
   let agency = null;
-  for (const a of ['ttc','toronto','miway','mississauga','brampton','drt','durham','yrt','york']) {
-    if (text.includes(a)) { agency = normalizeAgency(a); break; }
+  for (const a of ['ttc','toronto','miway','mississauga','brampton','drt','durham','yrt','york region','viva']) {
+    if (new RegExp(`\\b${a}\\b`).test(text)) { agency = normalizeAgency(a); break; }
   }
 
   // route_ref (e.g., "bus 83", "83", "line 2")
@@ -61,7 +63,7 @@ router.post('/parse', (req, res) => {
   let stop_ref = null;
   const mAt = text.match(/\b(?:at|in)\s+(.+?)$/i);
   if (mAt) stop_ref = mAt[1]
-    .replace(/\b(ttc|toronto)\b/gi,'')
+    .replace(/\b(ttc|toronto|miway|drt|yrt)\b/gi,'') // system names, not part of the stop
     .replace(/\b(station|stn)\b/gi,' station') // normalize "stn" to "station"
     .replace(/\s{2,}/g,' ')
     .trim();
@@ -0,0 +1,132 @@
+// backend/src/routes/fare.js
+import express, { Router } from 'express';
+import {
+  fareQuoteBodySchema, tripBodySchema, fareRulesQuerySchema, historyQuerySchema, goFareQuerySchema
+} from '../validators.js';
+import {
+  quoteFare, evaluateTrip, rulesAt, fareRules, fareTable, replayTapHistory, savingsReport, FareCategories,
+  goFares, goStation, goFareFor
+} from '../fareEngine.js';
+import { parsePrestoCsv } from '../lib/prestoCsv.js';
+
+const router = Router();
+
+// POST /api/fare/quote  { legs: ['TTC','GO'], paymentMethod?, sameCard? }
+router.post('/quote', (req, res) => {
+  const parse = fareQuoteBodySchema.safeParse(req.body);
+  if (!parse.success) {
+    return res.status(400).json({ error: 'Invalid body', details: parse.error.flatten() });
+  }
+  return res.json(quoteFare(parse.data));
+});
+
+// POST /api/fare/trip  { taps: [{ agency, tapISO, location? }], category?, paymentMethod?, sameCard? }
+router.post('/trip', (req, res) => {
+  const parse = tripBodySchema.safeParse(req.body);
+  if (!parse.success) {
+    return res.status(400).json({ error: 'Invalid body', details: parse.error.flatten() });
+  }
+  return res.json(evaluateTrip(parse.data));
+});
+
+// GET /api/fare/rules?at=ISO  → the rules version in force at that time (default: now)
+router.get('/rules', (req, res) => {
+  const parse = fareRulesQuerySchema.safeParse(req.query);
+  if (!parse.success) {
+    return res.status(400).json({ error: 'Invalid query', details: parse.error.flatten() });
+  }
+  try {
+    const rules = rulesAt(parse.data.at);
+    return res.json({
+      at: parse.data.at || new Date().toISOString(),
+      rules,
+      fareTableVersion: fareTable.version,
+      versions: fareRules.map(({ version, effectiveFrom, effectiveTo }) => ({ version, effectiveFrom, effectiveTo }))
+    });
+  } catch (e) {
+    return res.status(404).json({ error: String(e?.message || e) });
+  }
+});
+
+// GET /api/fare/go/stations  → stations in the GO fare matrix
+router.get('/go/stations', (_req, res) => {
+  const stations = Object.entries(goFares.stations)
+    .map(([code, s]) => ({ code, name: s.name, zone: s.zone }))
+    .sort((a, b) => a.name.localeCompare(b.name));
+  return res.json({ version: goFares.version, source: goFares.source, stations });
+});
+
+// GET /api/fare/go?from=UN&to=Oakville GO  → GO station-to-station fare for every category
+router.get('/go', (req, res) => {
+  const parse = goFareQuerySchema.safeParse(req.query);
+  if (!parse.success) {
+    return res.status(400).json({ error: 'Invalid query', details: parse.error.flatten() });
+  }
+  const { from, to } = parse.data;
+  const origin = goStation(from);
+  const destination = goStation(to);
+  if (!origin || !destination) {
+    return res.status(404).json({ error: `Unknown GO station: ${origin ? to : from}` });
+  }
+  if (goFareFor(from, to) == null) {
+    return res.status(404).json({ error: `No GO fare between ${origin.name} and ${destination.name}` });
+  }
+  const categories = {};
+  for (const category of Object.values(FareCategories)) categories[category] = goFareFor(from, to, category);
+  return res.json({
+    version: goFares.version,
+    source: goFares.source, // 'sample' until imported from GO's GTFS
+    currency: goFares.currency,
+    origin,
+    destination,
+    categories
+  });
+});
+
+const csvBody = express.text({ type: ['text/csv', 'text/plain'], limit: '2mb' });
+
+// Parse the CSV upload and replay it; sends the error response and returns null on failure.
+function replayCsvUpload(req, res) {
+  const query = historyQuerySchema.safeParse(req.query);
+  if (!query.success) {
+    res.status(400).json({ error: 'Invalid query', details: query.error.flatten() });
+    return null;
+  }
+  if (typeof req.body !== 'string' || !req.body.trim()) {
+    res.status(400).json({ error: 'CSV body required (content-type: text/csv)' });
+    return null;
+  }
+
+  let parsed;
+  try {
+    parsed = parsePrestoCsv(req.body);
+  } catch (e) {
+    res.status(400).json({ error: `Could not read CSV: ${e?.message || e}` });
+    return null;
+  }
+  if (!parsed.taps.length) {
+    res.status(422).json({ error: 'No fare taps found in CSV', skipped: parsed.skipped });
+    return null;
+  }
+
+  const category = query.data.category
+    || parsed.taps.find(t => t.category)?.category
+    || FareCategories.ADULT;
+  return { replay: replayTapHistory(parsed.taps, { category }), skipped: parsed.skipped };
+}
+
+// POST /api/fare/history?category=  (body: PRESTO transaction history CSV)
+router.post('/history', csvBody, (req, res) => {
+  const r = replayCsvUpload(req, res);
+  if (!r) return;
+  return res.json({ ...r.replay, skipped: r.skipped });
+});
+
+// POST /api/fare/report?category=  (body: PRESTO transaction history CSV)
+router.post('/report', csvBody, (req, res) => {
+  const r = replayCsvUpload(req, res);
+  if (!r) return;
+  return res.json({ ...savingsReport(r.replay), skipped: r.skipped });
+});
+
+export default router;
@@ -2,8 +2,7 @@
 import { Router } from 'express';
 import { getPool } from '../db.js';
 import { sendEmail } from '../email.js';
-
-export const router = Router();
+import { queueAlertJobs } from '../lib/alertSubscriptions.js';
 
 // Same gateway map as sms.js
 const GATEWAYS = {
@@ -84,15 +83,31 @@ export async function runDueSmsJobs() {
   return { processed: sentIds.length, ids: sentIds };
 }
 
-//HTTP endpoint to run the queue on demand
-router.post('/run', async (_req, res) => {
-  try {
-    const r = await runDueSmsJobs();
-    res.json({ ok: true, processed: r.processed, smsSent: r.ids });
-  } catch (e) {
-    res.status(500).json({ error: String(e) });
-  }
-});
+// The job functions are parameters so tests can stand in for them
+export function jobsRouter({ queueAlerts = queueAlertJobs, runSms = runDueSmsJobs } = {}) {
+  const r = Router();
 
-export default router;
+  //HTTP endpoint to run the queue on demand
+  r.post('/run', async (_req, res) => {
+    // Alert subscriptions must not hold up the fare reminders (same as the JOBS_LOOP tick)
+    let alertsQueued = 0;
+    let alertsError;
+    try {
+      alertsQueued = (await queueAlerts()).queued;
+    } catch (e) {
+      alertsError = String(e?.message || e);
+    }
+    try {
+      const sms = await runSms();
+      res.json({ ok: true, processed: sms.processed, smsSent: sms.ids, alertsQueued, alertsError });
+    } catch (e) {
+      res.status(500).json({ error: String(e), alertsQueued, alertsError });
+    }
+  });
+
+  return r;
+}
 
+export const router = jobsRouter();
+
+export default router;
@@ -1,14 +1,24 @@
 // backend/src/routes/transit.js
 import { Router } from 'express';
-import { adapters, normalizeAgency } from '../lib/adapters/index.js';
-import { getStopId, findCandidateStopIds } from '../lib/stopResolver.js';
-import { nextArrivalsFromSchedule, expandStopIdsIfStation, linesAtStopWindow } from '../lib/schedule.js';
+import { adapters, agencyKeys, normalizeAgency } from '../lib/adapters/index.js';
+import { alertInScope, activeDuring } from '../lib/adapters/base.js';
+import { findCandidateStopIds } from '../lib/stopResolver.js';
+import { getTtcAdvisories, ADVISORY_PAGES } from '../lib/ttcAdvisories.js';
+import { recordAlerts, markNew, alertHistory } from '../lib/alertHistory.js';
+import { resolveAlertScope } from '../lib/alertSubscriptions.js';
+import { getPool } from '../db.js';
+import {
+  nextArrivalsFromSchedule, expandStopIdsIfStation, linesAtStopWindow,
+  withScheduleDeviation, withTripDetails, mergeRealtimeAndSchedule, arrivalsSource
+} from '../lib/schedule.js';
 
 const DISABLE_RT = String(process.env.DISABLE_RT || '') === '1';
 
 
 const router = Router();
 
+const AGENCY_REQUIRED = `agency required (${agencyKeys.join(', ')})`;
+
 // ---------- helpers ----------
 
 async function expandStopIds(agencyKey, stopId) {
@@ -31,80 +41,11 @@ function mergeAndSortArrivals(lists, limit) {
   return typeof limit === 'number' ? out.slice(0, limit) : out;
 }
 
-function stripTags(html) {
-  return String(html || '').replace(/<script[\s\S]*?<\/script>/gi,'')
-    .replace(/<style[\s\S]*?<\/style>/gi,'')
-    .replace(/<[^>]+>/g,' ')
-    .replace(/\s{2,}/g,' ')
-    .trim();
-}
-
-async function fetchText(url) {
-  const r = await fetch(url, { headers: { 'user-agent': 'Mozilla/5.0' }});
-  if (!r.ok) throw new Error(`Fetch failed ${r.status} for ${url}`);
-  return r.text();
-}
-
-// Very lightweight parser: split by <h3> sections on TTC advisories pages and pull adjacent text.
-// Returns [{ headerText, descriptionText, start, url }]
-function parseTtcSections(html, baseUrl) {
-  const items = [];
-  const h3Regex = /<h3[^>]*>([\s\S]*?)<\/h3>/gi;
-  let m;
-  const indices = [];
-  while ((m = h3Regex.exec(html)) !== null) {
-    indices.push({ start: m.index, end: h3Regex.lastIndex, titleHtml: m[1] });
-  }
-  // add sentinel to capture tail text
-  indices.push({ start: html.length, end: html.length, titleHtml: '' });
-
-  for (let i = 0; i < indices.length - 1; i++) {
-    const curr = indices[i];
-    const next = indices[i+1];
-    const title = stripTags(curr.titleHtml);
-    const block = html.slice(curr.end, next.start);
-    const text = stripTags(block);
-    // crude "Effective:" timestamp extraction if present
-    const effMatch = text.match(/\bEffective\b:\s*([^]+?)(?:\n|$)/i);
-    const start = effMatch ? new Date(effMatch[1]).toISOString() : null;
-
-    const urlMatch = block.match(/href="([^"]+)"/i);
-    const url = urlMatch ? (new URL(urlMatch[1], baseUrl)).toString() : baseUrl;
-
-    if (title) {
-      items.push({
-        headerText: title,
-        descriptionText: text,
-        start,
-        end: null,
-        url
-      });
-    }
-  }
-  return items;
-}
-
-function overlapsWindow(startIso, endIso, winStartMs, winEndMs) {
-  const s = startIso ? new Date(startIso).getTime() : null;
-  const e = endIso ? new Date(endIso).getTime() : null;
-  if (s == null && e == null) return true;
-  const s2 = (s == null) ? -Infinity : s;
-  const e2 = (e == null) ? Infinity : e;
-  return !(e2 < winStartMs || s2 > winEndMs);
-}
-
-function blobIncludesTokens(header, desc, tokens) {
-  if (!tokens?.length) return true;
-  const blob = `${header || ''} ${desc || ''}`.toLowerCase();
-  return tokens.every(t => blob.includes(t));
-}
-
-function normalizeTokensStopName(name) {
-  if (!name) return [];
-  return name.toLowerCase()
-    .replace(/\bstn\b/g,'station')
-    .replace(/\bstation\b/g,'')
-    .split(/\s+/).filter(Boolean);
+// ISO string or epoch seconds → ms; null when missing, NaN when unreadable
+function parseTimeParam(v) {
+  if (v == null || v === '') return null;
+  const str = String(v).trim();
+  return /^\d+$/.test(str) ? Number(str) * 1000 : Date.parse(str);
 }
 
 // ---------- ARRIVALS ----------
@@ -116,7 +57,7 @@ router.get('/arrivals', async (req, res) => {
   const limit = Math.min(Math.max(Number(req.query.limit || 10), 1), 50);
   const fromEpochSec = Number(req.query.from || 0) || undefined;
 
-  if (!agencyKey) return res.status(400).json({ error: 'agency required (ttc)' });
+  if (!agencyKey) return res.status(400).json({ error: AGENCY_REQUIRED });
   if (!stopRefRaw) return res.status(400).json({ error: 'stop_ref required' });
 
   const adapter = adapters[agencyKey];
@@ -140,11 +81,12 @@ router.get('/arrivals', async (req, res) => {
 
     // Prefer the first candidate’s label, but we’ll fetch across ALL expanded ids
     let chosen = candidates[0] || null;
-    let arrivals = [];
-    let source = 'rt';
 
     // realtime (disabled when DISABLE_RT=1)
+    let rtArrivals = [];
+    let cancelled = new Map();
     if (!DISABLE_RT) {
+      try { cancelled = (await adapter.tripCancellations?.()) || cancelled; } catch {}
       const rtLists = [];
       for (const sid of allStopIds) {
         try {
@@ -156,28 +98,29 @@ router.get('/arrivals', async (req, res) => {
           if (list?.length) rtLists.push(list);
         } catch {}
       }
-      arrivals = mergeAndSortArrivals(rtLists, limit);
-      if (arrivals.length) source = 'rt';
+      rtArrivals = mergeAndSortArrivals(rtLists, limit);
     }
 
-    // schedule fallback (or primary when DISABLE_RT=1)
-    if (!arrivals.length) {
-      const schLists = [];
-      for (const sid of allStopIds) {
-        try {
-          const list = await nextArrivalsFromSchedule(agencyKey, sid, {
-            limit,
-            routeRef: routeRef || undefined,
-            fromTime: fromEpochSec ? new Date(fromEpochSec * 1000) : undefined,
-          });
-          if (list?.length) schLists.push(list);
-        } catch {}
-      }
-      arrivals = mergeAndSortArrivals(schLists, limit);
-      if (arrivals.length) source = 'schedule';
+    // schedule fills in the trips realtime has no prediction for
+    const schLists = [];
+    for (const sid of allStopIds) {
+      try {
+        const list = await nextArrivalsFromSchedule(agencyKey, sid, {
+          limit,
+          routeRef: routeRef || undefined,
+          fromTime: fromEpochSec ? new Date(fromEpochSec * 1000) : undefined,
+        });
+        if (list?.length) schLists.push(list);
+      } catch {}
     }
+    const schArrivals = mergeAndSortArrivals(schLists, limit);
 
-    
+    let arrivals = mergeRealtimeAndSchedule(rtArrivals, schArrivals, { limit, cancelled });
+    const source = arrivalsSource(arrivals);
+    if (arrivals.some(a => a.realtime)) {
+      arrivals = await withTripDetails(agencyKey, arrivals);
+      arrivals = await withScheduleDeviation(agencyKey, arrivals);
+    }
 
     if (!chosen) {
       return res.json({ arrivals: [], source: 'rt', availableRoutes: [], generatedAt: new Date().toISOString() });
@@ -232,98 +175,74 @@ router.get('/alerts', async (req, res) => {
   const windowMin = Math.max(1, Number(req.query.window || 60));
   const limit = Math.min(Math.max(Number(req.query.limit || 20), 1), 200);
   const mode = String(req.query.mode || 'rt').toLowerCase(); // 'rt' or planned categories
+  // ?lang=fr (or a list like fr,en) wins over the browser's Accept-Language
+  const langs = req.query.lang
+    ? String(req.query.lang).split(',').map(l => l.trim()).filter(Boolean)
+    : req.acceptsLanguages().filter(l => l !== '*');
 
-  if (!agencyKey) return res.status(400).json({ error: 'agency required (ttc)' });
+  if (!agencyKey) return res.status(400).json({ error: AGENCY_REQUIRED });
 
   const adapter = adapters[agencyKey];
   if (!adapter?.alerts) return res.status(400).json({ error: `Unsupported agency: ${agencyKey}` });
+  // Planned advisories come from ttc.ca pages; other systems only have GTFS-RT alerts
+  if (mode !== 'rt' && agencyKey !== 'ttc') {
+    return res.status(400).json({ error: `Planned advisories are only available for TTC (mode=rt for ${agencyKey})` });
+  }
 
+  // Explicit from/to range, else `window` minutes either side of now
   const now = Date.now();
-  const winStart = now - windowMin * 60 * 1000;
-  const winEnd = now + windowMin * 60 * 1000;
+  const fromParam = parseTimeParam(req.query.from);
+  const toParam = parseTimeParam(req.query.to);
+  if (Number.isNaN(fromParam) || Number.isNaN(toParam)) {
+    return res.status(400).json({ error: 'from/to must be ISO times or epoch seconds' });
+  }
+  // `since`: the cursor from a previous response; alerts first seen after it come back isNew
+  const since = parseTimeParam(req.query.since);
+  if (Number.isNaN(since)) return res.status(400).json({ error: 'since must be an ISO time or epoch seconds' });
+  const winStart = fromParam ?? (toParam != null ? now : now - windowMin * 60 * 1000);
+  const winEnd = toParam ?? (fromParam != null ? Infinity : now + windowMin * 60 * 1000);
+  if (winStart > winEnd) return res.status(400).json({ error: 'from must be before to' });
 
   try {
-    // Build stop context (tokens + lines serving that station) for scoping
-    let stopTokens = [];
-    let routeTokensAtStop = [];
-    if (stopRefRaw) {
-      const stopId = await getStopId(agencyKey, stopRefRaw);
-      if (stopId) {
-        const expanded = await expandStopIds(agencyKey, stopId);
-        const set = new Set();
-        for (const sid of expanded) {
-          try {
-            const lines = await linesAtStopWindow(agencyKey, sid, { windowMin: 1440 });
-            for (const l of lines) set.add(String(l));
-          } catch {}
-        }
-        routeTokensAtStop = Array.from(set).map(s => s.toLowerCase());
-        stopTokens = normalizeTokensStopName(stopRefRaw);
-      }
-    }
+    // Stop context (ids, lines serving that station, name tokens) for scoping
+    const scope = await resolveAlertScope(agencyKey, { routeRef, stopRef: stopRefRaw });
 
     let items = [];
+    let fetched = [];
+    const source = mode === 'rt' || ADVISORY_PAGES[mode] ? mode : 'service_changes';
 
     if (mode === 'rt') {
-      // Real-time: pull GTFS-RT alerts and filter to time + stop/route context
-      const all = await adapter.alerts();
-      items = (all || []).filter(it => {
-        const tMatch = overlapsWindow(it.start, it.end, winStart, winEnd);
-        if (!tMatch) return false;
-        // If route_ref provided, require mention
-        if (routeRef) {
-          const r = String(routeRef).toLowerCase();
-          const blob = `${it.headerText || ''} ${it.descriptionText || ''}`.toLowerCase();
-          if (!(blob.includes(` ${r} `) || blob.includes(`${r}-`) || blob.includes(`line ${r}`))) return false;
-        }
-        // If stop provided, require tokens or a line serving the stop
-        if (stopTokens.length) {
-          const blob = `${it.headerText || ''} ${it.descriptionText || ''}`.toLowerCase();
-          const tokensOk = stopTokens.every(t => blob.includes(t));
-          const lineOk = routeTokensAtStop.some(rt => blob.includes(` ${rt} `) || blob.includes(`${rt}-`) || blob.includes(`line ${rt}`));
-          if (!tokensOk && !lineOk) return false;
-        }
-        return true;
-      });
+      // Real-time: pull GTFS-RT alerts and filter to time + informed route/stop
+      fetched = (await adapter.alerts(undefined, { lang: langs })) || [];
+      items = fetched.filter(it =>
+        activeDuring(it, winStart, winEnd) && alertInScope(it, scope));
     } else {
-      // Planned categories: fetch & parse TTC pages
-      const map = {
-        'service_changes': 'https://www.ttc.ca/service-advisories/Service-Changes',
-        'subway': 'https://www.ttc.ca/service-advisories/subway-service',
-        'streetcar': 'https://www.ttc.ca/service-advisories/Streetcar-Service-Changes',
-        'accessibility': 'https://www.ttc.ca/service-advisories/accessibility',
-        'construction': 'https://www.ttc.ca/service-advisories/construction-notices'
-      };
-      const url = map[mode] || map['service_changes'];
-      const html = await fetchText(url);
-      const parsed = parseTtcSections(html, url);
-
-      items = parsed.filter(it => {
-        // Window applies to "Effective:" if present; otherwise include
-        const timeOk = overlapsWindow(it.start, it.end, winStart, winEnd);
-        if (!timeOk) return false;
-
-        // Route and stop token scoping
-        const blob = `${it.headerText || ''} ${it.descriptionText || ''}`.toLowerCase();
-        if (routeRef) {
-          const r = String(routeRef).toLowerCase();
-          if (!(blob.includes(` ${r} `) || blob.includes(`${r}-`) || blob.includes(`line ${r}`))) return false;
-        }
-        if (stopTokens.length) {
-          const tokensOk = stopTokens.every(t => blob.includes(t));
-          const lineOk = routeTokensAtStop.some(rt => blob.includes(` ${rt} `) || blob.includes(`${rt}-`) || blob.includes(`line ${rt}`));
-          if (!tokensOk && !lineOk) return false;
-        }
-        return true;
-      });
+      // Planned categories: parsed ttc.ca advisories (cached, refreshed in the background)
+      fetched = await getTtcAdvisories(source);
+
+      // Advisories without parsed dates always pass the window; parsed lines scope like route ids
+      items = fetched.filter(it =>
+        activeDuring(it, winStart, winEnd) && alertInScope(it, scope));
     }
 
+    // Record everything the source returned, not just what this request's scope kept
+    let firstSeen = new Map();
+    try { firstSeen = await recordAlerts(agencyKey, source, fetched); }
+    catch (e) { console.error('[alerts] history write failed:', e.message); }
+    items = markNew(items, firstSeen, since);
+
     const out = limit ? items.slice(0, limit) : items;
+    const generatedAt = new Date().toISOString();
     return res.json({
       items: out,
-      generatedAt: new Date().toISOString(),
+      generatedAt,
+      cursor: generatedAt, // pass back as ?since= next time
+      newCount: items.filter(it => it.isNew).length,
       windowMin,
+      from: new Date(winStart).toISOString(),
+      to: Number.isFinite(winEnd) ? new Date(winEnd).toISOString() : null,
       mode,
+      lang: langs,
       stop: stopRefRaw || null,
       routeRef: routeRef || null,
       total: items.length
@@ -333,16 +252,68 @@ router.get('/alerts', async (req, res) => {
   }
 });
 
-// ---------- LINES helper (unchanged) ----------
+router.get('/alerts/history', async (req, res) => {
+  const agencyKey = normalizeAgency(req.query.agency || '');
+  if (!agencyKey) return res.status(400).json({ error: AGENCY_REQUIRED });
+  if (!getPool()) return res.status(501).json({ error: 'Alert history not configured (no DATABASE_URL).' });
+
+  const since = parseTimeParam(req.query.since);
+  if (Number.isNaN(since)) return res.status(400).json({ error: 'since must be an ISO time or epoch seconds' });
+  const source = String(req.query.source || '').trim().toLowerCase() || null;
+  const limit = Math.min(Math.max(Number(req.query.limit) || 50, 1), 500);
+
+  try {
+    const generatedAt = new Date().toISOString();
+    const items = await alertHistory(agencyKey, {
+      since: since != null ? new Date(since).toISOString() : null,
+      source,
+      limit,
+    });
+    return res.json({ agency: agencyKey, items, generatedAt, cursor: generatedAt });
+  } catch (e) {
+    res.status(500).json({ error: String(e?.message || e) });
+  }
+});
+
+// ---------- VEHICLES ----------
+
+router.get('/vehicles', async (req, res) => {
+  const agencyKey = normalizeAgency(req.query.agency || '');
+  const routeRef = String(req.query.route_ref || '').trim() || null;
+  const limit = Math.min(Math.max(Number(req.query.limit || 500), 1), 2000);
+
+  if (!agencyKey) return res.status(400).json({ error: AGENCY_REQUIRED });
+
+  const adapter = adapters[agencyKey];
+  if (!adapter?.vehicles) return res.status(400).json({ error: `Unsupported agency: ${agencyKey}` });
+
+  try {
+    const vehicles = await adapter.vehicles(routeRef || undefined);
+    return res.json({
+      agency: agencyKey,
+      routeRef,
+      vehicles: vehicles.slice(0, limit),
+      total: vehicles.length,
+      generatedAt: new Date().toISOString(),
+    });
+  } catch (e) {
+    res.status(500).json({ error: String(e?.message || e) });
+  }
+});
+
+// ---------- LINES helper ----------
 
 router.get('/lines', async (req, res) => {
   const agencyKey = normalizeAgency(req.query.agency || '');
   const stopRefRaw = String(req.query.stop_ref || '').trim();
   const windowMin = Number(req.query.window || 60);
 
-  if (!agencyKey) return res.status(400).json({ error: 'agency required (ttc)' });
+  if (!agencyKey) return res.status(400).json({ error: AGENCY_REQUIRED });
   if (!stopRefRaw) return res.status(400).json({ error: 'stop_ref required' });
 
+  const adapter = adapters[agencyKey];
+  if (!adapter) return res.status(400).json({ error: `Unsupported agency: ${agencyKey}` });
+
   try {
     const exactId = /^[A-Za-z0-9_-]+$/.test(stopRefRaw) ? stopRefRaw : null;
     const candidates = [];
@@ -361,6 +332,17 @@ router.get('/lines', async (req, res) => {
       const lines = await linesAtStopWindow(agencyKey, sid, { windowMin });
       for (const l of lines) set.add(String(l));
     }
+    // No static schedule loaded for this agency → fall back to the lines seen in realtime
+    let method = 'schedule+station-expansion';
+    if (!DISABLE_RT && set.size === 0) {
+      for (const sid of stopIds) {
+        try {
+          const list = await adapter.nextArrivalsByStop(sid, { limit: 50 });
+          for (const a of list || []) if (a.routeShortName) set.add(String(a.routeShortName));
+        } catch {}
+      }
+      if (set.size) method = 'realtime';
+    }
     const routes = Array.from(set).sort((a,b)=> String(a).localeCompare(String(b), undefined, { numeric: true }));
 
     return res.json({
@@ -369,7 +351,7 @@ router.get('/lines', async (req, res) => {
       windowMin,
       generatedAt: new Date().toISOString(),
       routes,
-      method: 'schedule+station-expansion',
+      method,
     });
   } catch (e) {
     res.status(500).json({ error: String(e?.message || e) });
@@ -1,11 +1,68 @@
 import { z } from 'zod';
-import { Agencies, Directions, PaymentMethods } from './fareEngine.js';
+import { Agencies, Directions, PaymentMethods, FareCategories } from './fareEngine.js';
+
+// Where a tap happened, for the re-entry rules
+const tapPlace = {
+  location: z.string().min(1).max(120).optional(),
+  route: z.string().min(1).max(20).optional(),
+  routeDirection: z.string().min(1).max(20).optional()
+};
 
 export const checkBodySchema = z.object({
   direction: z.nativeEnum(Directions),
   startAgency: z.nativeEnum(Agencies),
   firstTapISO: z.string().datetime(),
   paymentMethod: z.nativeEnum(PaymentMethods),
-  sameCard: z.boolean()
+  sameCard: z.boolean(),
+  category: z.nativeEnum(FareCategories).default(FareCategories.ADULT),
+  asOfISO: z.string().datetime().optional(),
+  goOrigin: z.string().min(1).max(80).optional(),
+  goDestination: z.string().min(1).max(80).optional(),
+  firstTap: z.object(tapPlace).optional(),
+  nextTap: z.object({ agency: z.nativeEnum(Agencies).optional(), ...tapPlace }).optional()
+});
+
+
+export const fareQuoteBodySchema = z.object({
+  legs: z.array(z.nativeEnum(Agencies)).min(1).max(8),
+  paymentMethod: z.nativeEnum(PaymentMethods).default(PaymentMethods.PRESTO_CARD),
+  sameCard: z.boolean().default(true)
+});
+
+export const tripBodySchema = z.object({
+  taps: z.array(z.object({
+    agency: z.nativeEnum(Agencies),
+    tapISO: z.string().datetime(),
+    location: z.string().max(120).optional(),
+    destination: z.string().max(120).optional(),
+    route: tapPlace.route,
+    routeDirection: tapPlace.routeDirection
+  })).min(1).max(20),
+  category: z.nativeEnum(FareCategories).default(FareCategories.ADULT),
+  paymentMethod: z.nativeEnum(PaymentMethods).default(PaymentMethods.PRESTO_CARD),
+  sameCard: z.boolean().default(true)
+});
+
+export const fareRulesQuerySchema = z.object({
+  at: z.string().datetime({ offset: true }).optional()
+});
+
+export const historyQuerySchema = z.object({
+  category: z.nativeEnum(FareCategories).optional()
+});
+
+export const goFareQuerySchema = z.object({
+  from: z.string().min(1).max(80),
+  to: z.string().min(1).max(80)
 });
 
+// Who gets notified (exactly one of the two) and what they watch (a route, a stop or both)
+export const alertSubscriptionBodySchema = z.object({
+  recipientId: z.string().uuid().optional(),
+  pushSubscriptionId: z.string().min(1).max(64).optional(),
+  agency: z.string().min(1).max(20),
+  routeRef: z.string().trim().min(1).max(20).optional(),
+  stopRef: z.string().trim().min(1).max(120).optional()
+})
+  .refine(b => !b.recipientId !== !b.pushSubscriptionId, { message: 'recipientId or pushSubscriptionId required (not both)' })
+  .refine(b => b.routeRef || b.stopRef, { message: 'routeRef or stopRef required' });
@@ -0,0 +1,252 @@
+// backend/tests/adapters.test.js
+import { test, describe, before } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import request from 'supertest';
+import GtfsRT from 'gtfs-realtime-bindings';
+import { adapters, agencyKeys, normalizeAgency } from '../src/lib/adapters/index.js';
+import {
+  arrivalsFromTripUpdates, numericStopMatcher, looseStopMatcher, stopIndexFor, vehiclesFromFeed,
+  alertsFromFeed, pickTranslation, alertInScope, mentions, activeDuring, tripCancellationsFor
+} from '../src/lib/adapters/base.js';
+import { app } from '../src/app.js';
+
+// Recorded feeds live in the repo-level data/ directory
+function recordedFeed(name) {
+  const buf = fs.readFileSync(new URL(`../../data/${name}.pb`, import.meta.url));
+  return GtfsRT.transit_realtime.FeedMessage.decode(buf);
+}
+
+describe('adapters registry', () => {
+  test('maps rider-facing names to every adapter', () => {
+    assert.deepEqual(agencyKeys, ['ttc', 'miway', 'brampton', 'drt', 'yrt']);
+    assert.equal(normalizeAgency('Mississauga'), 'miway');
+    assert.equal(normalizeAgency('durham'), 'drt');
+    assert.equal(normalizeAgency('York'), 'yrt');
+    assert.equal(normalizeAgency('Brampton'), 'brampton');
+    assert.equal(normalizeAgency('via'), '');
+    for (const key of agencyKeys) assert.equal(typeof adapters[key].nextArrivalsByStop, 'function');
+  });
+
+  test('agency-specific stop matchers', () => {
+    assert.equal(numericStopMatcher('00417', '417'), true);
+    assert.equal(numericStopMatcher('4170', '417'), false);
+    assert.equal(looseStopMatcher('BT-00417', '00417'), true);
+  });
+
+  test('passes through delays the feed publishes', () => {
+    const feed = recordedFeed('yrt-trips');
+    const stopId = feed.entity.find(e => e.tripUpdate?.stopTimeUpdate?.length).tripUpdate.stopTimeUpdate[0].stopId;
+    const [a] = arrivalsFromTripUpdates(feed, stopId, { fromEpochSec: 0 });
+    assert.equal(typeof a.delaySec, 'number');
+    assert.equal(Date.parse(a.when) - Date.parse(a.scheduledWhen), a.delaySec * 1000);
+    assert.ok(a.tripId);
+  });
+
+  test('reads arrivals from a recorded MiWay feed', () => {
+    const list = arrivalsFromTripUpdates(recordedFeed('miway-trips'), '4530', { fromEpochSec: 0 });
+    assert.ok(list.length > 0);
+    assert.ok(list.every(a => a.realtime && a.when));
+  });
+});
+
+describe('adapters/base stop index', () => {
+  const feed = recordedFeed('ttc-trips');
+
+  test('is built once per feed', () => {
+    assert.equal(stopIndexFor(feed), stopIndexFor(feed));
+    assert.ok(stopIndexFor(feed).size > 100);
+  });
+
+  test('returns the same arrivals as scanning every stop_time_update', () => {
+    const stopId = feed.entity.find(e => e.tripUpdate?.stopTimeUpdate?.length)
+      .tripUpdate.stopTimeUpdate[0].stopId;
+    let expected = 0;
+    for (const e of feed.entity) {
+      for (const stu of e.tripUpdate?.stopTimeUpdate || []) {
+        if (stu.stopId === stopId && Number(stu.arrival?.time || stu.departure?.time)) expected++;
+      }
+    }
+    const list = arrivalsFromTripUpdates(feed, stopId, { fromEpochSec: 0, limit: 1000 });
+    assert.equal(list.length, expected);
+    assert.ok(list.every((a, i) => i === 0 || list[i - 1].when <= a.when));
+  });
+});
+
+describe('adapters/base schedule relationships', () => {
+  // Round-trip through the wire format so unset fields decode like a real feed
+  const stu = (stopId, time, extra = {}) => ({ stopId, arrival: { time }, ...extra });
+  const feed = GtfsRT.transit_realtime.FeedMessage.decode(GtfsRT.transit_realtime.FeedMessage.encode({
+    header: { gtfsRealtimeVersion: '2.0' },
+    entity: [
+      { id: '1', tripUpdate: { trip: { tripId: 'run' }, stopTimeUpdate: [stu('100', 1000, { arrival: { time: 1000, delay: 60 } })] } },
+      { id: '2', tripUpdate: { trip: { tripId: 'gone', scheduleRelationship: 3 }, stopTimeUpdate: [stu('100', 1100)] } },
+      { id: '3', tripUpdate: { trip: { tripId: 'skip' }, stopTimeUpdate: [stu('100', 1200, { scheduleRelationship: 1 })] } },
+      { id: '4', tripUpdate: { trip: { tripId: 'extra', scheduleRelationship: 1 }, stopTimeUpdate: [stu('100', 1300)] } },
+      { id: '5', tripUpdate: { trip: { tripId: 'deleted', scheduleRelationship: 7 }, stopTimeUpdate: [stu('100', 1400)] } },
+      // Whole-trip cancellation the usual way: no stop_time_updates at all
+      { id: '6', tripUpdate: { trip: { tripId: 'bare', scheduleRelationship: 3 } } }
+    ]
+  }).finish());
+
+  test('flags cancelled, skipped and added trips and drops deleted ones', () => {
+    const list = arrivalsFromTripUpdates(feed, '100', { fromEpochSec: 0 });
+    assert.deepEqual(list.map(a => [a.tripId, a.status]), [
+      ['run', 'SCHEDULED'], ['gone', 'CANCELED'], ['skip', 'SKIPPED'], ['extra', 'ADDED']
+    ]);
+    assert.equal(list[0].delaySec, 60);
+    assert.equal(list[1].delaySec, null);
+  });
+
+  test('records trip-level cancellations that have no stop times', () => {
+    assert.deepEqual([...tripCancellationsFor(feed)], [['gone', 'CANCELED'], ['deleted', 'DELETED'], ['bare', 'CANCELED']]);
+    assert.equal(tripCancellationsFor(feed), tripCancellationsFor(feed));
+  });
+});
+
+describe('adapters/base alert translations', () => {
+  const ts = (...pairs) => ({ translation: pairs.map(([language, text]) => ({ language, text })) });
+  const bilingual = ts(['fr', 'Détour'], ['en', 'Detour']);
+
+  test('picks the requested language with fallbacks', () => {
+    assert.deepEqual(pickTranslation(bilingual, ['fr-CA', 'en']), { text: 'Détour', language: 'fr' });
+    assert.equal(pickTranslation(bilingual, ['de']).text, 'Detour');
+    assert.equal(pickTranslation(bilingual).text, 'Detour');
+    assert.equal(pickTranslation(ts([undefined, 'Untagged'], ['fr', 'Français']), ['es']).text, 'Untagged');
+    assert.equal(pickTranslation(ts(['fr', 'Seulement'])).text, 'Seulement');
+    assert.deepEqual(pickTranslation(undefined), { text: '', language: null });
+  });
+
+  test('alertsFromFeed returns the chosen text and every translation', () => {
+    const feed = { entity: [{ id: 'a1', alert: { headerText: bilingual, descriptionText: ts(['en', 'Via Main St']) } }] };
+    const [fr] = alertsFromFeed(feed, { lang: ['fr'] });
+    assert.equal(fr.headerText, 'Détour');
+    assert.equal(fr.language, 'fr');
+    assert.equal(fr.descriptionText, 'Via Main St');
+    assert.deepEqual(fr.translations.headerText, { fr: 'Détour', en: 'Detour' });
+  });
+});
+
+describe('adapters/base alert scoping', () => {
+  const feed = {
+    entity: [
+      { id: 'r5', alert: { informedEntity: [{ routeId: '5' }] } },
+      { id: 'r505', alert: { informedEntity: [{ routeId: '505' }] } },
+      { id: 'trip', alert: { informedEntity: [{ trip: { tripId: 't1', routeId: '505' } }] } },
+      { id: 'stop', alert: { informedEntity: [{ stopId: '1234' }] } },
+      { id: 'r5-at-stop', alert: { informedEntity: [{ routeId: '5', stopId: '9999' }] } },
+      { id: 'agency', alert: { informedEntity: [{ agencyId: 'TTC' }] } },
+      { id: 'untagged', alert: { headerText: { translation: [{ text: '505 Dundas: detour at Broadview' }] } } }
+    ]
+  };
+  const items = alertsFromFeed(feed);
+  const ids = scope => items.filter(it => alertInScope(it, scope)).map(it => it.id);
+
+  test('route scoping uses exact informed route ids, then whole-word text', () => {
+    assert.deepEqual(ids({ routeRef: '5' }), ['r5', 'r5-at-stop', 'agency']);
+    assert.deepEqual(ids({ routeRef: '505' }), ['r505', 'trip', 'agency', 'untagged']);
+    assert.deepEqual(alertsFromFeed(feed, { routeRef: '5' }).map(it => it.id), ['r5', 'r5-at-stop', 'agency']);
+  });
+
+  test('stop scoping uses informed stop ids and the routes serving the stop', () => {
+    const atStop = { stopIds: ['1234', '1235'], stopRoutes: ['505'], stopTokens: ['broadview'] };
+    assert.deepEqual(ids(atStop), ['r505', 'trip', 'stop', 'agency', 'untagged']);
+    // The rider named route 5, so its route-wide alert counts even if 5 isn't listed at the stop
+    assert.deepEqual(ids({ ...atStop, routeRef: '5' }), ['r5', 'stop', 'agency']);
+  });
+
+  test('a stop-only alert at the rider\'s stop stays in scope once a route is added', () => {
+    const closure = { informed: [{ agencyId: null, routeId: null, tripId: null, stopId: '1234', routeType: null }] };
+    assert.equal(alertInScope(closure, { stopIds: ['1234'] }), true);
+    assert.equal(alertInScope(closure, { stopIds: ['1234'], routeRef: '505' }), true);
+    assert.equal(alertInScope(closure, { stopIds: ['5678'], routeRef: '505' }), false);
+    assert.equal(alertInScope(closure, { routeRef: '505' }), false);
+  });
+
+  test('mentions matches whole numbers and words only', () => {
+    assert.equal(mentions('505 Dundas', '5'), false);
+    assert.equal(mentions('Line 5 Eglinton', '5'), true);
+    assert.equal(mentions('Route 5-Avenue Rd', '5'), true);
+    assert.equal(mentions('Unionville', 'union'), false);
+  });
+});
+
+describe('adapters/base alert active periods', () => {
+  const at = iso => Date.parse(iso) / 1000;
+  // Nightly closure, 23:00–05:00 UTC on three nights
+  const nights = ['2025-09-01', '2025-09-02', '2025-09-03'].map(d => ({
+    start: at(`${d}T23:00:00Z`), end: at(`${d}T23:00:00Z`) + 6 * 3600
+  }));
+  const feed = GtfsRT.transit_realtime.FeedMessage.decode(GtfsRT.transit_realtime.FeedMessage.encode({
+    header: { gtfsRealtimeVersion: '2.0' },
+    entity: [
+      { id: 'nightly', alert: { activePeriod: [nights[2], nights[0], nights[1]] } },
+      { id: 'always', alert: {} }
+    ]
+  }).finish());
+
+  test('keeps every period and reports the current or next one', () => {
+    const [day] = alertsFromFeed(feed, { now: Date.parse('2025-09-02T12:00:00Z') });
+    assert.equal(day.activePeriods.length, 3);
+    assert.equal(day.activePeriods[0].start, '2025-09-01T23:00:00.000Z');
+    assert.equal(day.activeNow, false);
+    assert.equal(day.nextActive, '2025-09-02T23:00:00.000Z');
+    assert.equal(day.start, '2025-09-02T23:00:00.000Z');
+
+    const [night, always] = alertsFromFeed(feed, { now: Date.parse('2025-09-03T01:00:00Z') });
+    assert.equal(night.activeNow, true);
+    assert.equal(night.end, '2025-09-03T05:00:00.000Z');
+    assert.equal(night.nextActive, '2025-09-03T23:00:00.000Z');
+    assert.equal(always.activeNow, true);
+    assert.deepEqual(always.activePeriods, []);
+  });
+
+  test('activeDuring checks every period, not just the first', () => {
+    const [nightly] = alertsFromFeed(feed);
+    assert.equal(activeDuring(nightly, Date.parse('2025-09-04T01:00:00Z'), Date.parse('2025-09-04T02:00:00Z')), true);
+    assert.equal(activeDuring(nightly, Date.parse('2025-09-03T12:00:00Z'), Date.parse('2025-09-03T13:00:00Z')), false);
+    assert.equal(activeDuring({ start: null, end: null }, 0, 1), true);
+  });
+});
+
+describe('adapters/base.vehiclesFromFeed', () => {
+  test('decodes positions, trip and enum names', () => {
+    const list = vehiclesFromFeed(recordedFeed('yrt-vehicles'));
+    assert.ok(list.length > 0);
+    const v = list.find(x => x.occupancy);
+    assert.equal(typeof v.lat, 'number');
+    assert.equal(typeof v.lon, 'number');
+    assert.match(v.occupancy, /^[A-Z_]+$/);
+    assert.ok(v.tripId);
+    assert.match(v.timestamp, /^\d{4}-\d{2}-\d{2}T/);
+  });
+
+  test('filters to the exact route', () => {
+    const feed = recordedFeed('ttc-vehicles');
+    const route = vehiclesFromFeed(feed)[0].routeShortName;
+    const list = vehiclesFromFeed(feed, { routeRef: route });
+    assert.ok(list.length > 0);
+    assert.ok(list.every(v => v.routeShortName === route));
+  });
+});
+
+describe('GET /api/transit with 905 agencies', () => {
+  let agent;
+  before(() => { agent = request(app); });
+
+  test('unknown agency lists the supported ones', async () => {
+    const res = await agent.get('/api/transit/arrivals').query({ agency: 'via', stop_ref: '123' });
+    assert.equal(res.status, 400);
+    assert.match(res.body.error, /ttc, miway, brampton, drt, yrt/);
+  });
+
+  test('vehicles needs a known agency', async () => {
+    const res = await agent.get('/api/transit/vehicles').query({ route_ref: '501' });
+    assert.equal(res.status, 400);
+  });
+
+  test('planned advisories stay TTC-only', async () => {
+    const res = await agent.get('/api/transit/alerts').query({ agency: 'miway', mode: 'subway' });
+    assert.equal(res.status, 400);
+  });
+});
@@ -0,0 +1,94 @@
+// backend/tests/alertHistory.test.js
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import request from 'supertest';
+import GtfsRT from 'gtfs-realtime-bindings';
+import { alertsFromFeed } from '../src/lib/adapters/base.js';
+import { alertKey, recordAlerts, markNew, alertHistory } from '../src/lib/alertHistory.js';
+import { app } from '../src/app.js';
+import { fakePool } from './helpers/fakePool.js';
+
+const detour = { id: '1', headerText: '506 Carlton: Detour', descriptionText: 'Via Gerrard', routes: ['506'] };
+
+describe('alertHistory', () => {
+  test('keys alerts by content, not feed entity id', () => {
+    assert.equal(alertKey(detour), alertKey({ ...detour, id: '99' }));
+    assert.notEqual(alertKey(detour), alertKey({ ...detour, descriptionText: 'Via Dundas' }));
+  });
+
+  test('one key for an alert whichever language it was served in', () => {
+    const { FeedMessage } = GtfsRT.transit_realtime;
+    const ts = (en, fr) => ({ translation: [{ language: 'en', text: en }, { language: 'fr', text: fr }] });
+    const feed = FeedMessage.decode(FeedMessage.encode({
+      header: { gtfsRealtimeVersion: '2.0' },
+      entity: [{ id: '1', alert: {
+        headerText: ts('Detour', 'Détour'), descriptionText: ts('Use Main St', 'Utilisez la rue Main'),
+        informedEntity: [{ routeId: '900' }]
+      } }]
+    }).finish());
+    const [en] = alertsFromFeed(feed, { lang: ['en'] });
+    const [fr] = alertsFromFeed(feed, { lang: ['fr'] });
+    assert.equal(fr.headerText, 'Détour');
+    assert.equal(alertKey(fr), alertKey(en));
+    assert.equal(markNew([fr], new Map([[alertKey(en), '2025-09-01T00:00:00.000Z']]), Date.parse('2025-09-02'))[0].isNew, false);
+  });
+
+  test('recordAlerts upserts once per distinct alert and maps first-seen times', async () => {
+    const key = alertKey(detour);
+    const pool = fakePool([{ alert_key: key, first_seen_at: new Date('2025-09-03T12:00:00Z') }]);
+    const now = new Date('2025-09-03T12:05:00Z');
+    const firstSeen = await recordAlerts('ttc', 'rt', [detour, { ...detour, id: '2' }], { pool, now });
+
+    assert.equal(pool.calls.length, 1);
+    const [agency, source, keys, headers] = pool.calls[0].params;
+    assert.deepEqual([agency, source, keys, headers], ['ttc', 'rt', [key], ['506 Carlton: Detour']]);
+    assert.match(pool.calls[0].sql, /ON CONFLICT \(agency, source, alert_key\) DO UPDATE SET last_seen_at/);
+    assert.equal(firstSeen.get(key), '2025-09-03T12:00:00.000Z');
+
+    assert.deepEqual(await recordAlerts('ttc', 'rt', [], { pool }), new Map());
+    assert.equal(pool.calls.length, 1);
+  });
+
+  test('markNew flags alerts first seen after the cursor', () => {
+    const older = { ...detour, headerText: 'Elevator out of service' };
+    const firstSeen = new Map([
+      [alertKey(detour), '2025-09-03T12:00:00.000Z'],
+      [alertKey(older), '2025-09-02T08:00:00.000Z']
+    ]);
+    const [a, b] = markNew([detour, older], firstSeen, Date.parse('2025-09-03T00:00:00Z'));
+    assert.equal(a.isNew, true);
+    assert.equal(b.isNew, false);
+    assert.equal(a.firstSeenAt, '2025-09-03T12:00:00.000Z');
+    // No cursor yet (first visit): nothing is "new"
+    assert.equal(markNew([detour], firstSeen, null)[0].isNew, false);
+  });
+
+  test('alertHistory passes the cursor and maps rows', async () => {
+    const pool = fakePool([{
+      alert_key: 'k', source: 'subway', header_text: 'Line 1 closure', description_text: null, url: null,
+      start_at: new Date('2025-09-06T10:00:00Z'), end_at: null,
+      first_seen_at: new Date('2025-09-01T12:00:00Z'), last_seen_at: new Date('2025-09-05T12:00:00Z')
+    }]);
+    const [row] = await alertHistory('ttc', { since: '2025-08-31T00:00:00.000Z', pool });
+    assert.deepEqual(pool.calls[0].params, ['ttc', '2025-08-31T00:00:00.000Z', null, 50]);
+    assert.equal(row.headerText, 'Line 1 closure');
+    assert.equal(row.start, '2025-09-06T10:00:00.000Z');
+    assert.equal(row.end, null);
+    assert.equal(row.lastSeenAt, '2025-09-05T12:00:00.000Z');
+  });
+});
+
+describe('GET /api/transit/alerts/history', () => {
+  const hasDB = !!process.env.DATABASE_URL;
+
+  test('needs an agency and a database', async () => {
+    assert.equal((await request(app).get('/api/transit/alerts/history')).status, 400);
+    const res = await request(app).get('/api/transit/alerts/history?agency=ttc');
+    assert.equal(res.status, hasDB ? 200 : 501);
+  });
+
+  test('rejects an unreadable since cursor', async () => {
+    const res = await request(app).get('/api/transit/alerts?agency=yrt&since=yesterday');
+    assert.equal(res.status, 400);
+  });
+});
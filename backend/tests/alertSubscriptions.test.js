@@ -0,0 +1,148 @@
+// backend/tests/alertSubscriptions.test.js
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import request from 'supertest';
+import express from 'express';
+import { jobsRouter } from '../src/routes/jobs.js';
+import { alertsRouter } from '../src/routes/alerts.js';
+import { queueAlertJobs, alertMessage } from '../src/lib/alertSubscriptions.js';
+import { alertKey } from '../src/lib/alertHistory.js';
+import { alertSubscriptionBodySchema } from '../src/validators.js';
+import { app } from '../src/app.js';
+import { fakePool } from './helpers/fakePool.js';
+
+const entity = routeId => [{ agencyId: null, routeId, tripId: null, stopId: null, routeType: null }];
+const detour = { id: 'a', headerText: '506 Carlton: Detour', routes: ['506'], informed: entity('506') };
+const elevator = { id: 'b', headerText: 'Elevator out of service at Union', routes: ['1'], informed: entity('1') };
+const oldNews = { id: 'c', headerText: '506 Carlton: Shorter trips', routes: ['506'], informed: entity('506') };
+
+// Answers the three statements queueAlertJobs issues; alert_notifications is a Set
+function queuePool({ subs, firstSeen }) {
+  const notified = new Set();
+  const jobs = [];
+  const pool = fakePool((sql, params) => {
+    if (sql.includes('FROM alert_subscriptions')) return subs;
+    if (sql.includes('INTO alert_history')) return params[2].map(k => ({ alert_key: k, first_seen_at: firstSeen[k] }));
+    const pair = `${params[0]}|${params[1]}`;
+    if (notified.has(pair)) return [];
+    notified.add(pair);
+    jobs.push({ table: sql.includes('sms_reminder_jobs') ? 'sms' : 'push', recipient: params[2], message: params[4] });
+    return [{ id: jobs.length }];
+  });
+  return Object.assign(pool, { jobs });
+}
+
+describe('alertSubscriptions.queueAlertJobs', () => {
+  const created = '2025-09-03T12:00:00.000Z';
+  const subs = [
+    { id: 's1', agency: 'ttc', route_ref: '506', stop_ref: null, scope: { routeRef: '506' }, created_at: created, recipient_id: 'r1', push_subscription_id: null },
+    { id: 's2', agency: 'ttc', route_ref: '1', stop_ref: null, scope: { routeRef: '1' }, created_at: created, recipient_id: 'r2', push_subscription_id: null },
+    { id: 's3', agency: 'ttc', route_ref: '506', stop_ref: null, scope: { routeRef: '506' }, created_at: created, recipient_id: null, push_subscription_id: 'p1' }
+  ];
+  const firstSeen = {
+    [alertKey(detour)]: '2025-09-03T12:10:00.000Z',
+    [alertKey(elevator)]: '2025-09-03T12:10:00.000Z',
+    [alertKey(oldNews)]: '2025-09-01T08:00:00.000Z' // already up before anyone subscribed
+  };
+
+  test('queues each new in-scope alert once per subscription, by SMS or push', async () => {
+    const pool = queuePool({ subs, firstSeen });
+    let fetched = 0;
+    const fetchAlerts = async () => { fetched++; return [detour, elevator, oldNews]; };
+
+    const first = await queueAlertJobs({ pool, fetchAlerts });
+    assert.equal(first.queued, 3);
+    assert.equal(fetched, 1); // one feed read per agency, not per subscription
+    assert.deepEqual(pool.jobs.map(j => [j.table, j.recipient]), [['sms', 'r1'], ['sms', 'r2'], ['push', 'p1']]);
+    assert.equal(pool.jobs[0].message, 'One-Fare alert (TTC 506): 506 Carlton: Detour');
+    assert.equal(pool.jobs[1].message, 'One-Fare alert (TTC 1): Elevator out of service at Union');
+    assert.deepEqual(pool.jobs[2].message, { title: 'One-Fare alert: TTC 506', body: '506 Carlton: Detour', url: '/chat' });
+
+    const again = await queueAlertJobs({ pool, fetchAlerts });
+    assert.equal(again.queued, 0);
+  });
+
+  test('skips agencies whose feed is down and does nothing without a DB', async () => {
+    const pool = queuePool({ subs, firstSeen });
+    const r = await queueAlertJobs({ pool, fetchAlerts: async () => { throw new Error('503'); } });
+    assert.deepEqual(r, { queued: 0, ids: [] });
+    assert.deepEqual(await queueAlertJobs({ pool: null }), { queued: 0, ids: [] });
+  });
+
+  test('SMS bodies stay within one message', () => {
+    const body = alertMessage({ agency: 'miway', route_ref: null, stop_ref: 'Square One' }, { headerText: 'x'.repeat(300) });
+    assert.equal(body.length, 160);
+    assert.match(body, /^One-Fare alert \(MIWAY @ Square One\): x+…$/);
+  });
+});
+
+describe('POST /api/alerts/subscriptions', () => {
+  const hasDB = !!process.env.DATABASE_URL;
+
+  test('needs exactly one of recipientId and pushSubscriptionId, and a route or stop', () => {
+    const recipientId = '8d3c1e34-5f5b-4a8e-9d57-0b8f8c3b9a11';
+    assert.equal(alertSubscriptionBodySchema.safeParse({ recipientId, agency: 'ttc', routeRef: '506' }).success, true);
+    assert.equal(alertSubscriptionBodySchema.safeParse({ pushSubscriptionId: 'p1', agency: 'ttc', routeRef: '506' }).success, true);
+    assert.equal(alertSubscriptionBodySchema.safeParse({ recipientId, agency: 'ttc' }).success, false);
+    assert.equal(alertSubscriptionBodySchema.safeParse({ agency: 'ttc', stopRef: 'Union' }).success, false);
+    assert.equal(alertSubscriptionBodySchema.safeParse({
+      recipientId, pushSubscriptionId: 'p1', agency: 'ttc', routeRef: '506'
+    }).success, false);
+  });
+
+  test('rejects a body with neither id', async () => {
+    const pool = fakePool();
+    const alerts = express().use(express.json()).use('/api/alerts', alertsRouter({ db: () => pool }));
+    const res = await request(alerts).post('/api/alerts/subscriptions').send({ agency: 'ttc', routeRef: '506' });
+    assert.equal(res.status, 400);
+    assert.equal(pool.calls.length, 0);
+  });
+
+  test('stores a push subscription and scopes reads and deletes to it', async () => {
+    const row = {
+      id: 'a1', recipient_id: null, push_subscription_id: 'p1', agency: 'ttc',
+      route_ref: '506', stop_ref: null, created_at: '2025-09-03T12:00:00.000Z'
+    };
+    const pool = fakePool(sql => {
+      if (sql.includes('FROM push_subscriptions')) return [{ '?column?': 1 }];
+      if (sql.includes('LIMIT 1')) return []; // not subscribed yet
+      return [row];
+    });
+    const alerts = express().use(express.json()).use('/api/alerts', alertsRouter({ db: () => pool }));
+
+    const res = await request(alerts).post('/api/alerts/subscriptions')
+      .send({ pushSubscriptionId: 'p1', agency: 'ttc', routeRef: '506' });
+    assert.equal(res.status, 201);
+    assert.equal(res.body.channel, 'push');
+    const insert = pool.calls.find(c => c.sql.includes('INSERT INTO alert_subscriptions'));
+    assert.deepEqual(insert.params.slice(0, 4), [null, 'p1', 'ttc', '506']);
+
+    assert.equal((await request(alerts).get('/api/alerts/subscriptions?pushSubscriptionId=p1')).body.items[0].id, 'a1');
+    assert.equal((await request(alerts).delete('/api/alerts/subscriptions/a1?pushSubscriptionId=p1')).status, 200);
+    for (const c of pool.calls.slice(-2)) assert.match(c.sql, /push_subscription_id = \$/);
+  });
+
+  test('requires a database', async () => {
+    if (hasDB) return;
+    const res = await request(app).post('/api/alerts/subscriptions')
+      .send({ recipientId: '8d3c1e34-5f5b-4a8e-9d57-0b8f8c3b9a11', agency: 'ttc', routeRef: '506' });
+    assert.equal(res.status, 501);
+    assert.equal((await request(app).get('/api/alerts/subscriptions?recipientId=x')).status, 501);
+  });
+});
+
+describe('POST /api/jobs/run with alert subscriptions', () => {
+  test('still sends due SMS reminders when queueing alerts fails', async () => {
+    let smsRuns = 0;
+    const jobs = express().use('/api/jobs', jobsRouter({
+      queueAlerts: async () => { throw new Error('relation "alert_subscriptions" does not exist'); },
+      runSms: async () => { smsRuns++; return { processed: 2, ids: [7, 8] }; }
+    }));
+    const res = await request(jobs).post('/api/jobs/run');
+    assert.equal(res.status, 200);
+    assert.equal(smsRuns, 1);
+    assert.deepEqual(res.body.smsSent, [7, 8]);
+    assert.equal(res.body.alertsQueued, 0);
+    assert.match(res.body.alertsError, /alert_subscriptions/);
+  });
+});
@@ -0,0 +1,26 @@
+// backend/tests/chatRoute.test.js
+import { test, describe, before } from 'node:test';
+import assert from 'node:assert/strict';
+import request from 'supertest';
+import { app } from '../src/app.js';
+
+describe('POST /api/chat/parse', () => {
+  let agent;
+  before(() => { agent = request(app); });
+  const parse = text => agent.post('/api/chat/parse').send({ text, sessionId: 't' }).then(r => r.body);
+
+  test('TTC stations named after York are not YRT', async () => {
+    for (const text of ['arrivals at yorkdale station', 'york mills station arrivals', 'alerts at north york centre']) {
+      const r = await parse(text);
+      assert.equal(r.slots.agency, undefined, text);
+      assert.ok(r.missingSlots.includes('agency'), text);
+    }
+    assert.equal((await parse('ttc arrivals at york mills station')).slots.agency, 'ttc');
+  });
+
+  test('names YRT by its own words', async () => {
+    assert.equal((await parse('yrt arrivals at finch terminal')).slots.agency, 'yrt');
+    assert.equal((await parse('york region alerts')).slots.agency, 'yrt');
+    assert.equal((await parse('viva blue arrivals at richmond hill centre')).slots.agency, 'yrt');
+  });
+});
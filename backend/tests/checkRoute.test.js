@@ -26,6 +26,41 @@ describe('POST /api/check', () => {
     assert.equal(typeof res.body.savingsText, 'string');
   });
 
+  test('asOfISO answers a hypothetical time', async () => {
+    const base = {
+      direction: 'TTC_GO',
+      startAgency: 'TTC',
+      firstTapISO: '2025-09-03T16:00:00.000Z',
+      paymentMethod: 'PRESTO_CARD',
+      sameCard: true
+    };
+    const before = await agent.post('/api/check').send({ ...base, asOfISO: '2025-09-03T17:40:00.000Z' });
+    const after = await agent.post('/api/check').send({ ...base, asOfISO: '2025-09-03T18:00:01.000Z' });
+
+    assert.equal(before.status, 200);
+    assert.equal(before.body.eligibleNow, true);
+    assert.equal(before.body.asOfISO, '2025-09-03T17:40:00.000Z');
+    assert.equal(after.body.eligibleNow, false);
+  });
+
+  test('nextTap at the starting GO station is reported as a new fare', async () => {
+    const res = await agent.post('/api/check')
+      .set('content-type', 'application/json')
+      .send({
+        direction: 'GO_TTC',
+        startAgency: 'GO',
+        firstTapISO: new Date().toISOString(),
+        paymentMethod: 'PRESTO_CARD',
+        sameCard: true,
+        firstTap: { location: 'Union' },
+        nextTap: { agency: 'GO', location: 'Union' }
+      });
+
+    assert.equal(res.status, 200);
+    assert.equal(res.body.eligibleNow, false);
+    assert.match(res.body.reasons[0], /re-tap at Union starts a new fare/);
+  });
+
   test('invalid payload returns 400', async () => {
     const res = await agent.post('/api/check')
       .set('content-type', 'application/json')
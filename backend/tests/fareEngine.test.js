@@ -1,9 +1,15 @@
 // backend/tests/fareEngine.test.js
 import { test, describe } from 'node:test';
 import assert from 'node:assert/strict';
-import { checkEligibility, Agencies, Directions, PaymentMethods } from '../src/fareEngine.js';
+import {
+  checkEligibility, quoteFare, evaluateTrip, fareFor, rulesAt, computeWindowSeconds, goFareFor, goStation,
+  Agencies, Directions, PaymentMethods, FareCategories, TapStatus, RuleCodes, ReentryCodes
+} from '../src/fareEngine.js';
 
-function isoMinus(sec) { return new Date(Date.now() - sec*1000).toISOString(); }
+// Pinned "now" for every eligibility check (no Date monkey-patching)
+const NOW = new Date('2025-09-03T16:00:00Z');
+const clock = () => NOW;
+function isoMinus(sec) { return new Date(NOW.getTime() - sec*1000).toISOString(); }
 
 describe('fareEngine.checkEligibility', () => {
   test('TTC → GO within 2h is eligible', () => {
@@ -13,7 +19,7 @@ describe('fareEngine.checkEligibility', () => {
       firstTapISO: isoMinus(60), // 1 min ago
       paymentMethod: PaymentMethods.PRESTO_CARD,
       sameCard: true
-    });
+    }, { clock });
     assert.equal(r.eligibleNow, true);
     assert.ok(r.deadlineISO);
     assert.equal(r.reasons.length, 0);
@@ -26,7 +32,7 @@ describe('fareEngine.checkEligibility', () => {
       firstTapISO: isoMinus(2*3600 + 5), // 2h + 5s ago
       paymentMethod: PaymentMethods.PRESTO_CARD,
       sameCard: true
-    });
+    }, { clock });
     assert.equal(r.eligibleNow, false);
     assert.ok(r.expiredNextSteps.includes('GO'));
   });
@@ -38,7 +44,7 @@ describe('fareEngine.checkEligibility', () => {
       firstTapISO: isoMinus(60), // 1 min ago
       paymentMethod: PaymentMethods.CREDIT,
       sameCard: true
-    });
+    }, { clock });
     assert.equal(r.eligibleNow, true);
   });
 
@@ -49,7 +55,7 @@ describe('fareEngine.checkEligibility', () => {
       firstTapISO: isoMinus(60),
       paymentMethod: PaymentMethods.DEBIT,
       sameCard: false
-    });
+    }, { clock });
     assert.equal(r.eligibleNow, false);
     assert.ok(r.reasons.some(x => x.toLowerCase().includes('same card')));
   });
@@ -61,7 +67,7 @@ describe('fareEngine.checkEligibility', () => {
       firstTapISO: isoMinus(60),
       paymentMethod: PaymentMethods.PRESTO_TICKET,
       sameCard: true
-    });
+    }, { clock });
     assert.equal(r1.eligibleNow, false);
     assert.ok(r1.reasons.some(x => x.toLowerCase().includes('ticket')));
 
@@ -71,7 +77,7 @@ describe('fareEngine.checkEligibility', () => {
       firstTapISO: isoMinus(60),
       paymentMethod: PaymentMethods.E_TICKET,
       sameCard: true
-    });
+    }, { clock });
     assert.equal(r2.eligibleNow, false);
   });
 
@@ -82,8 +88,354 @@ describe('fareEngine.checkEligibility', () => {
       firstTapISO: isoMinus(90), // 1.5h ago
       paymentMethod: PaymentMethods.PRESTO_CARD,
       sameCard: true
-    });
+    }, { clock });
+    assert.equal(r.eligibleNow, true);
+  });
+});
+
+
+describe('fareEngine.checkEligibility trace', () => {
+  test('lists every rule with its code, inputs and outcome', () => {
+    const r = checkEligibility({
+      direction: Directions.TTC_GO,
+      startAgency: Agencies.TTC,
+      firstTapISO: isoMinus(60),
+      paymentMethod: PaymentMethods.E_TICKET,
+      sameCard: true
+    }, { clock });
+    assert.deepEqual(r.trace.map(t => t.code), [
+      RuleCodes.PARTICIPATING_AGENCY, RuleCodes.PAYMENT_METHOD, RuleCodes.SAME_CARD, RuleCodes.TIME_WINDOW
+    ]);
+    const payment = r.trace.find(t => t.code === RuleCodes.PAYMENT_METHOD);
+    assert.equal(payment.passed, false);
+    assert.equal(payment.inputs.paymentMethod, PaymentMethods.E_TICKET);
+    assert.deepEqual(r.reasons, [payment.message]);
+  });
+
+  test('an expired window fails TIME_WINDOW but adds no reason', () => {
+    const r = checkEligibility({
+      direction: Directions.GO_TTC,
+      startAgency: Agencies.GO,
+      firstTapISO: isoMinus(4*3600),
+      paymentMethod: PaymentMethods.PRESTO_CARD,
+      sameCard: true
+    }, { clock });
+    const win = r.trace.find(t => t.code === RuleCodes.TIME_WINDOW);
+    assert.equal(win.passed, false);
+    assert.equal(win.inputs.windowSeconds, 3*3600);
+    assert.equal(r.reasons.length, 0);
+    assert.equal(r.eligibleNow, false);
+  });
+});
+
+describe('fareEngine.checkEligibility clock', () => {
+  const input = {
+    direction: Directions.TTC_GO,
+    startAgency: Agencies.TTC,
+    firstTapISO: isoMinus(2*3600),
+    paymentMethod: PaymentMethods.PRESTO_CARD,
+    sameCard: true
+  };
+
+  test('exactly at the deadline is still eligible', () => {
+    const r = checkEligibility(input, { clock });
     assert.equal(r.eligibleNow, true);
+    assert.equal(r.deadlineISO, NOW.toISOString());
+  });
+
+  test('one second past the deadline is not', () => {
+    const r = checkEligibility(input, { clock: () => new Date(NOW.getTime() + 1000) });
+    assert.equal(r.eligibleNow, false);
+  });
+
+  test('asOfISO answers hypothetical times and wins over the clock', () => {
+    const r = checkEligibility({ ...input, asOfISO: isoMinus(30*60) }, { clock });
+    assert.equal(r.eligibleNow, true);
+    assert.equal(r.asOfISO, isoMinus(30*60));
+  });
+});
+
+describe('fareEngine.checkEligibility categories', () => {
+  test('Child rides free even after the window', () => {
+    const r = checkEligibility({
+      direction: Directions.TTC_GO,
+      startAgency: Agencies.TTC,
+      firstTapISO: isoMinus(3*3600),
+      paymentMethod: PaymentMethods.PRESTO_CARD,
+      sameCard: false,
+      category: FareCategories.CHILD
+    }, { clock });
+    assert.equal(r.eligibleNow, true);
+    assert.equal(r.reasons.length, 0);
+    assert.equal(r.expiredNextSteps, null);
+    assert.ok(r.categoryText.includes('free'));
+  });
+
+  test('Youth on credit is told the adult fare applies', () => {
+    const r = checkEligibility({
+      direction: Directions.TTC_905,
+      startAgency: Agencies.TTC,
+      firstTapISO: isoMinus(60),
+      paymentMethod: PaymentMethods.CREDIT,
+      sameCard: true,
+      category: FareCategories.YOUTH
+    }, { clock });
+    assert.equal(r.eligibleNow, true);
+    assert.equal(r.category, FareCategories.YOUTH);
+    assert.ok(r.categoryText.includes('adult fare'));
+  });
+
+  test('Adult is the default category', () => {
+    const r = checkEligibility({
+      direction: Directions.GO_TTC,
+      startAgency: Agencies.GO,
+      firstTapISO: isoMinus(60),
+      paymentMethod: PaymentMethods.PRESTO_CARD,
+      sameCard: true
+    }, { clock });
+    assert.equal(r.category, FareCategories.ADULT);
+    assert.equal(r.categoryText, null);
+  });
+});
+
+describe('fareEngine.quoteFare', () => {
+  test('TTC → GO charges the GO fare less the TTC fare already paid', () => {
+    const q = quoteFare({ legs: [Agencies.TTC, Agencies.GO] });
+    const adult = q.categories[FareCategories.ADULT];
+    const ttc = fareFor(Agencies.TTC);
+    const go = fareFor(Agencies.GO);
+    assert.equal(q.oneFareApplied, true);
+    assert.equal(adult.legs[0].chargeCents, ttc);
+    assert.equal(adult.legs[1].chargeCents, go - ttc);
+    assert.equal(adult.totalCents, go);
+    assert.equal(adult.discountCents, ttc);
+  });
+
+  test('GO → TTC makes the TTC leg free', () => {
+    const q = quoteFare({ legs: [Agencies.GO, Agencies.TTC] });
+    const youth = q.categories[FareCategories.YOUTH];
+    assert.equal(youth.legs[1].chargeCents, 0);
+    assert.equal(youth.legs[1].discountCents, fareFor(Agencies.TTC, FareCategories.YOUTH));
+    assert.equal(youth.totalCents, fareFor(Agencies.GO, FareCategories.YOUTH));
+  });
+
+  test('TTC ⇄ 905 second local leg is free', () => {
+    const q = quoteFare({ legs: [Agencies.TTC, Agencies.MIWAY] });
+    assert.equal(q.categories[FareCategories.SENIOR].legs[1].chargeCents, 0);
+    assert.equal(q.categories[FareCategories.CHILD].totalCents, 0);
+  });
+
+  test('Fair Pass is discounted on TTC only', () => {
+    const q = quoteFare({ legs: [Agencies.TTC, Agencies.GO] });
+    const fp = q.categories[FareCategories.FAIR_PASS];
+    assert.ok(fp.legs[0].fareCents < fareFor(Agencies.TTC));
+    assert.equal(fp.legs[1].fareCents, fareFor(Agencies.GO));
+  });
+
+  test('Concessions on debit are priced as adult', () => {
+    const q = quoteFare({ legs: [Agencies.TTC], paymentMethod: PaymentMethods.DEBIT });
+    assert.equal(q.categories[FareCategories.SENIOR].totalCents, fareFor(Agencies.TTC));
+  });
+
+  test('PRESTO Ticket pays full fare on every leg', () => {
+    const q = quoteFare({ legs: [Agencies.TTC, Agencies.YRT], paymentMethod: PaymentMethods.PRESTO_TICKET });
+    const adult = q.categories[FareCategories.ADULT];
+    assert.equal(q.oneFareApplied, false);
+    assert.equal(adult.discountCents, 0);
+    assert.equal(adult.totalCents, fareFor(Agencies.TTC) + fareFor(Agencies.YRT));
+  });
+});
+
+describe('fareEngine.evaluateTrip', () => {
+  const at = (min) => new Date(Date.UTC(2025, 8, 3, 12, 0) + min * 60 * 1000).toISOString();
+
+  test('TTC → GO → MiWay: full, discounted, free', () => {
+    const r = evaluateTrip({
+      taps: [
+        { agency: Agencies.TTC, tapISO: at(0), location: 'Kipling' },
+        { agency: Agencies.GO, tapISO: at(30), location: 'Union' },
+        { agency: Agencies.MIWAY, tapISO: at(150), location: 'Cooksville' }
+      ]
+    });
+    assert.deepEqual(r.taps.map(t => t.status), [TapStatus.FULL, TapStatus.DISCOUNTED, TapStatus.FREE]);
+    assert.equal(r.taps[1].chargeCents, fareFor(Agencies.GO) - fareFor(Agencies.TTC));
+    // The GO tap opens a 3h window, so MiWay at +2.5h is still covered
+    assert.equal(r.windows.length, 2);
+    assert.equal(r.windows[1].windowSeconds, 3 * 3600);
+    assert.equal(r.taps[2].windowId, 2);
+    assert.equal(r.totalCents, fareFor(Agencies.GO));
+  });
+
+  test('local tap after the 2h window opens a new window', () => {
+    const r = evaluateTrip({
+      taps: [
+        { agency: Agencies.TTC, tapISO: at(0) },
+        { agency: Agencies.YRT, tapISO: at(121) }
+      ]
+    });
+    assert.deepEqual(r.taps.map(t => t.status), [TapStatus.FULL, TapStatus.FULL]);
+    assert.deepEqual(r.taps.map(t => t.opensWindow), [true, true]);
+  });
+
+  test('taps are evaluated in time order', () => {
+    const r = evaluateTrip({
+      taps: [
+        { agency: Agencies.TTC, tapISO: at(20) },
+        { agency: Agencies.GO, tapISO: at(0) }
+      ]
+    });
+    assert.equal(r.taps[0].agency, Agencies.GO);
+    assert.equal(r.taps[1].status, TapStatus.FREE);
   });
 });
 
+describe('fareEngine.rulesAt', () => {
+  test('picks the version in force at the given time', () => {
+    assert.equal(rulesAt('2023-12-01T12:00:00Z').version, 'pre-one-fare');
+    assert.equal(rulesAt('2024-02-26T05:00:00Z').version, 'one-fare-2024');
+    assert.equal(computeWindowSeconds(Agencies.GO, rulesAt('2025-01-01T00:00:00Z')), 3 * 3600);
+  });
+
+  test('a trip from before One Fare pays full fare on every leg', () => {
+    const r = evaluateTrip({
+      taps: [
+        { agency: Agencies.TTC, tapISO: '2023-06-01T12:00:00Z' },
+        { agency: Agencies.MIWAY, tapISO: '2023-06-01T12:30:00Z' }
+      ]
+    });
+    assert.equal(r.rulesVersion, 'pre-one-fare');
+    assert.equal(r.oneFareApplied, false);
+    assert.equal(r.totalCents, fareFor(Agencies.TTC) + fareFor(Agencies.MIWAY));
+  });
+
+  test('checkEligibility reports the rules version that answered', () => {
+    const r = checkEligibility({
+      direction: Directions.TTC_905,
+      startAgency: Agencies.TTC,
+      firstTapISO: '2023-06-01T12:00:00Z',
+      paymentMethod: PaymentMethods.PRESTO_CARD,
+      sameCard: true
+    }, { clock });
+    assert.equal(r.rulesVersion, 'pre-one-fare');
+    assert.equal(r.eligibleNow, false);
+  });
+});
+
+describe('fareEngine GO fare zones', () => {
+  test('looks up stations by code or name', () => {
+    assert.equal(goStation('UN').name, 'Union Station');
+    assert.equal(goStation('oakville go').code, 'OA');
+    assert.equal(goStation('Nowhere'), null);
+  });
+
+  test('station-to-station fares are symmetric and discounted by category', () => {
+    const adult = goFareFor('Union Station', 'Oakville GO');
+    assert.equal(adult, goFareFor('OA', 'UN'));
+    assert.ok(adult > fareFor(Agencies.GO));
+    assert.equal(goFareFor('UN', 'OA', FareCategories.SENIOR), Math.round(adult / 2));
+    assert.equal(goFareFor('UN', 'OA', FareCategories.CHILD), 0);
+    assert.equal(goFareFor('UN', 'Nowhere'), null);
+  });
+
+  test('evaluateTrip prices a GO tap from its origin and destination', () => {
+    const r = evaluateTrip({
+      taps: [
+        { agency: Agencies.TTC, tapISO: '2025-09-03T12:00:00Z' },
+        { agency: Agencies.GO, tapISO: '2025-09-03T12:20:00Z', location: 'UN', destination: 'OA' }
+      ]
+    });
+    assert.equal(r.taps[1].fareSource, 'GO_MATRIX');
+    assert.equal(r.taps[1].chargeCents, goFareFor('UN', 'OA') - fareFor(Agencies.TTC));
+    assert.equal(r.totalCents, goFareFor('UN', 'OA'));
+  });
+
+  test('checkEligibility prices the GO leg and the One Fare saving', () => {
+    const r = checkEligibility({
+      direction: Directions.TTC_GO,
+      startAgency: Agencies.TTC,
+      firstTapISO: isoMinus(600),
+      paymentMethod: PaymentMethods.PRESTO_CARD,
+      sameCard: true,
+      goOrigin: 'Union Station',
+      goDestination: 'Oakville GO'
+    }, { clock });
+    assert.equal(r.fare.goFareSource, 'GO_MATRIX');
+    assert.equal(r.fare.goLegCents, goFareFor('UN', 'OA'));
+    assert.equal(r.fare.totalCents, goFareFor('UN', 'OA'));
+    assert.equal(r.fare.withoutOneFareCents, goFareFor('UN', 'OA') + fareFor(Agencies.TTC));
+    assert.equal(r.fare.savedCents, fareFor(Agencies.TTC));
+    assert.match(r.fare.text, /Oakville GO/);
+  });
+
+  test('without stations the GO leg falls back to the minimum fare; 905 trips have no fare', () => {
+    const base = {
+      startAgency: Agencies.GO,
+      firstTapISO: isoMinus(600),
+      paymentMethod: PaymentMethods.PRESTO_CARD,
+      sameCard: false
+    };
+    const go = checkEligibility({ ...base, direction: Directions.GO_TTC }, { clock });
+    assert.equal(go.fare.goFareSource, 'FARE_TABLE');
+    assert.equal(go.fare.savedCents, 0);
+    assert.equal(go.fare.totalCents, fareFor(Agencies.GO) + fareFor(Agencies.TTC));
+    assert.equal(checkEligibility({ ...base, direction: Directions.TTC_905 }, { clock }).fare, null);
+  });
+});
+
+describe('fareEngine re-entry rules', () => {
+  const base = {
+    startAgency: Agencies.GO,
+    direction: Directions.GO_TTC,
+    firstTapISO: isoMinus(600),
+    paymentMethod: PaymentMethods.PRESTO_CARD,
+    sameCard: true,
+    firstTap: { location: 'Union Station' }
+  };
+
+  test('a GO re-tap at the starting station starts a new fare', () => {
+    const r = checkEligibility({ ...base, nextTap: { agency: Agencies.GO, location: 'UNION' } }, { clock });
+    const reentry = r.trace.find(t => t.code === RuleCodes.REENTRY);
+    assert.equal(reentry.passed, false);
+    assert.equal(reentry.inputs.reentryCode, ReentryCodes.SAME_STATION);
+    assert.match(reentry.message, /re-tap at UNION starts a new fare/);
+    assert.equal(r.eligibleNow, false);
+    assert.deepEqual(r.reasons, [reentry.message]);
+  });
+
+  test('a TTC tap at the same station is still a transfer', () => {
+    const r = checkEligibility({ ...base, nextTap: { location: 'Union Station' } }, { clock });
+    assert.equal(r.trace.find(t => t.code === RuleCodes.REENTRY).passed, true);
+    assert.equal(r.eligibleNow, true);
+  });
+
+  test('no nextTap means no re-entry rule in the trace', () => {
+    const r = checkEligibility(base, { clock });
+    assert.equal(r.trace.some(t => t.code === RuleCodes.REENTRY), false);
+  });
+
+  test('evaluateTrip charges a stopover on the same 905 route and direction', () => {
+    const r = evaluateTrip({
+      taps: [
+        { agency: Agencies.TTC, tapISO: '2025-09-03T12:00:00Z' },
+        { agency: Agencies.MIWAY, tapISO: '2025-09-03T12:20:00Z', route: '109', routeDirection: 'East' },
+        { agency: Agencies.MIWAY, tapISO: '2025-09-03T12:50:00Z', route: '109', routeDirection: 'EAST' },
+        { agency: Agencies.MIWAY, tapISO: '2025-09-03T13:10:00Z', route: '109', routeDirection: 'West' }
+      ]
+    });
+    assert.deepEqual(r.taps.map(t => t.status), [TapStatus.FULL, TapStatus.FREE, TapStatus.FULL, TapStatus.FREE]);
+    assert.equal(r.taps[2].reentry.code, ReentryCodes.SAME_ROUTE_DIRECTION);
+    assert.equal(r.taps[2].opensWindow, true);
+    assert.equal(r.windows.length, 2);
+  });
+
+  test('TTC allows backtracking on the same route', () => {
+    const r = evaluateTrip({
+      taps: [
+        { agency: Agencies.TTC, tapISO: '2025-09-03T12:00:00Z', route: '501', routeDirection: 'East' },
+        { agency: Agencies.TTC, tapISO: '2025-09-03T12:30:00Z', route: '501', routeDirection: 'East' }
+      ]
+    });
+    assert.equal(r.taps[1].status, TapStatus.FREE);
+    assert.equal(r.taps[1].reentry, null);
+  });
+});
@@ -0,0 +1,143 @@
+// backend/tests/fareRoute.test.js
+import { test, describe, before } from 'node:test';
+import assert from 'node:assert/strict';
+import request from 'supertest';
+import { app } from '../src/app.js';
+
+describe('POST /api/fare/quote', () => {
+  let agent;
+  before(() => { agent = request(app); });
+
+  test('valid legs return per-category totals', async () => {
+    const res = await agent.post('/api/fare/quote')
+      .set('content-type', 'application/json')
+      .send({ legs: ['TTC', 'GO'] });
+
+    assert.equal(res.status, 200);
+    assert.ok(res.body.fareTableVersion);
+    assert.equal(res.body.categories.ADULT.legs.length, 2);
+    assert.equal(typeof res.body.categories.CHILD.totalCents, 'number');
+  });
+
+  test('unknown agency returns 400', async () => {
+    const res = await agent.post('/api/fare/quote')
+      .set('content-type', 'application/json')
+      .send({ legs: ['VIA'] });
+
+    assert.equal(res.status, 400);
+    assert.ok(res.body.error);
+  });
+});
+
+describe('POST /api/fare/trip', () => {
+  let agent;
+  before(() => { agent = request(app); });
+
+  test('returns a status for every tap', async () => {
+    const t0 = Date.now();
+    const res = await agent.post('/api/fare/trip')
+      .set('content-type', 'application/json')
+      .send({
+        taps: [
+          { agency: 'TTC', tapISO: new Date(t0).toISOString() },
+          { agency: 'GO', tapISO: new Date(t0 + 10 * 60 * 1000).toISOString(), location: 'Union' }
+        ]
+      });
+
+    assert.equal(res.status, 200);
+    assert.equal(res.body.taps.length, 2);
+    assert.equal(res.body.taps[1].status, 'DISCOUNTED');
+    assert.equal(res.body.taps[1].location, 'Union');
+  });
+});
+
+describe('GET /api/fare/rules', () => {
+  let agent;
+  before(() => { agent = request(app); });
+
+  test('returns the version in force at the given time', async () => {
+    const res = await agent.get('/api/fare/rules?at=2023-01-15T08:00:00-05:00');
+    assert.equal(res.status, 200);
+    assert.equal(res.body.rules.version, 'pre-one-fare');
+    assert.ok(res.body.versions.length >= 2);
+  });
+
+  test('invalid time returns 400', async () => {
+    const res = await agent.get('/api/fare/rules?at=yesterday');
+    assert.equal(res.status, 400);
+  });
+});
+
+describe('GET /api/fare/go', () => {
+  let agent;
+  before(() => { agent = request(app); });
+
+  test('returns station-to-station fares for every category', async () => {
+    const res = await agent.get('/api/fare/go').query({ from: 'UN', to: 'Oakville GO' });
+    assert.equal(res.status, 200);
+    assert.equal(res.body.destination.code, 'OA');
+    assert.ok(res.body.categories.ADULT > res.body.categories.SENIOR);
+    assert.equal(res.body.currency, 'CAD');
+    assert.equal(res.body.source, 'sample'); // hand-entered until the GTFS import is committed
+  });
+
+  test('unknown station returns 404', async () => {
+    const res = await agent.get('/api/fare/go').query({ from: 'UN', to: 'Atlantis' });
+    assert.equal(res.status, 404);
+  });
+
+  test('lists the stations in the matrix', async () => {
+    const res = await agent.get('/api/fare/go/stations');
+    assert.equal(res.status, 200);
+    assert.ok(res.body.stations.some(s => s.code === 'UN'));
+  });
+});
+
+describe('POST /api/fare/history', () => {
+  let agent;
+  before(() => { agent = request(app); });
+
+  test('replays a PRESTO CSV upload', async () => {
+    const csv = [
+      'Date,Transit Agency,Location,Type,Service Class,Discount,Amount,Balance',
+      '9/3/2025 8:00:00 AM,GO Transit,Union Station,Fare Payment,Regular,$0.00,$5.90,$14.10',
+      '9/3/2025 8:40:00 AM,Toronto Transit Commission,UNION STATION,Fare Payment,Regular,$0.00,$3.30,$10.80'
+    ].join('\n');
+    const res = await agent.post('/api/fare/history')
+      .set('content-type', 'text/csv')
+      .send(csv);
+
+    assert.equal(res.status, 200);
+    assert.equal(res.body.taps.length, 2);
+    assert.equal(res.body.flaggedCount, 1);
+    assert.equal(res.body.category, 'ADULT');
+  });
+
+  test('CSV without taps returns 422', async () => {
+    const res = await agent.post('/api/fare/history')
+      .set('content-type', 'text/csv')
+      .send('Date,Transit Agency,Type,Amount\n9/1/2025 7:00:00 AM,,Load Amount,$20.00');
+
+    assert.equal(res.status, 422);
+  });
+});
+
+describe('POST /api/fare/report', () => {
+  let agent;
+  before(() => { agent = request(app); });
+
+  test('returns savings totals for a PRESTO CSV', async () => {
+    const csv = [
+      'Date,Transit Agency,Location,Type,Service Class,Discount,Amount,Balance',
+      '9/3/2025 8:00:00 AM,Toronto Transit Commission,KIPLING STATION,Fare Payment,Regular,$0.00,$3.30,$16.70',
+      '9/3/2025 8:20:00 AM,MiWay,Kipling Terminal,Fare Payment,Regular,$3.20,$0.00,$16.70'
+    ].join('\n');
+    const res = await agent.post('/api/fare/report')
+      .set('content-type', 'text/csv')
+      .send(csv);
+
+    assert.equal(res.status, 200);
+    assert.equal(res.body.totals.savedCents, 320);
+    assert.equal(res.body.byDirection[0].direction, 'TTC_905');
+  });
+});
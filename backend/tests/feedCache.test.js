@@ -0,0 +1,68 @@
+// backend/tests/feedCache.test.js
+import { test, describe, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import http from 'http';
+import { fetchRT, clearFeedCache } from '../src/lib/adapters/base.js';
+
+const body = fs.readFileSync(new URL('../../data/ttc-trips.pb', import.meta.url));
+const ETAG = '"ttc-trips-1"';
+
+describe('adapters/base.fetchRT cache', () => {
+  let server;
+  let url;
+  let requests = [];
+
+  before(async () => {
+    server = http.createServer((req, res) => {
+      requests.push(req.headers);
+      if (req.url === '/fail') {
+        res.writeHead(503);
+        return res.end();
+      }
+      if (req.headers['if-none-match'] === ETAG) {
+        res.writeHead(304);
+        return res.end();
+      }
+      res.writeHead(200, { 'content-type': 'application/x-protobuf', etag: ETAG });
+      res.end(body);
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    url = `http://127.0.0.1:${server.address().port}/trips`;
+  });
+
+  after(() => new Promise(resolve => server.close(resolve)));
+
+  beforeEach(() => {
+    clearFeedCache();
+    requests = [];
+  });
+
+  test('concurrent callers share one upstream fetch', async () => {
+    const feeds = await Promise.all(Array.from({ length: 12 }, () => fetchRT(url)));
+    assert.equal(requests.length, 1);
+    assert.ok(feeds[0].entity.length > 0);
+    assert.ok(feeds.every(f => f === feeds[0]));
+  });
+
+  test('serves from cache within the TTL', async () => {
+    await fetchRT(url);
+    await fetchRT(url);
+    assert.equal(requests.length, 1);
+  });
+
+  test('revalidates with If-None-Match after the TTL and keeps the feed on 304', async () => {
+    const first = await fetchRT(url);
+    const second = await fetchRT(url, { ttlMs: 0 });
+    assert.equal(requests.length, 2);
+    assert.equal(requests[1]['if-none-match'], ETAG);
+    assert.equal(second, first);
+  });
+
+  test('a failed fetch is not cached', async () => {
+    const failing = url.replace('/trips', '/fail');
+    await assert.rejects(fetchRT(failing), /HTTP 503/);
+    await assert.rejects(fetchRT(failing), /HTTP 503/);
+    assert.equal(requests.length, 2);
+  });
+});
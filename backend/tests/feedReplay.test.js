@@ -0,0 +1,146 @@
+// backend/tests/feedReplay.test.js
+import { test, describe, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import http from 'http';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import request from 'supertest';
+import GtfsRT from 'gtfs-realtime-bindings';
+import { feedUrl, fetchRT, clearFeedCache } from '../src/lib/adapters/base.js';
+import { adapters } from '../src/lib/adapters/index.js';
+import { app } from '../src/app.js';
+
+const DATA_DIR = fileURLToPath(new URL('../../data', import.meta.url));
+
+function withEnv(vars) {
+  const saved = {};
+  for (const [k, v] of Object.entries(vars)) {
+    saved[k] = process.env[k];
+    if (v == null) delete process.env[k]; else process.env[k] = v;
+  }
+  return () => withEnv(saved);
+}
+
+describe('adapters/base.feedUrl', () => {
+  test('live url unless a replay source is configured', () => {
+    const restore = withEnv({ RT_FEED_DIR: null, RT_FEED_BASE_URL: null });
+    try {
+      assert.equal(feedUrl('ttc', 'trips', 'https://live/trips'), 'https://live/trips');
+      process.env.RT_FEED_BASE_URL = 'http://127.0.0.1:9000/feeds/';
+      assert.equal(feedUrl('ttc', 'trips', 'https://live/trips'), 'http://127.0.0.1:9000/feeds/ttc-trips.pb');
+      process.env.RT_FEED_DIR = DATA_DIR; // a directory wins over a base url
+      assert.equal(feedUrl('drt', 'alerts', 'x'), `file://${path.join(DATA_DIR, 'drt-alerts.pb')}`);
+    } finally {
+      restore();
+    }
+  });
+});
+
+describe('replaying recorded feeds from RT_FEED_DIR', () => {
+  let restore;
+  before(() => { restore = withEnv({ RT_FEED_DIR: DATA_DIR, RT_FEED_BASE_URL: null }); });
+  after(() => { restore(); clearFeedCache(); });
+  beforeEach(() => clearFeedCache());
+
+  test('adapters read arrivals and vehicles from the files', async () => {
+    const arrivals = await adapters.miway.nextArrivalsByStop('4530', { fromEpochSec: 0 });
+    assert.ok(arrivals.length > 0);
+    const vehicles = await adapters.ttc.vehicles('7');
+    assert.equal(vehicles.length, 8);
+  });
+
+  test('a missing recording fails like an unreachable feed', async () => {
+    await assert.rejects(fetchRT(feedUrl('miway', 'alerts', 'unused')), /ENOENT/);
+    assert.deepEqual(await adapters.miway.alerts(), []); // MiWay treats a missing alerts feed as none
+  });
+
+  test('GET /api/transit/alerts serves the recorded TTC alerts', async () => {
+    const res = await request(app).get('/api/transit/alerts?agency=ttc');
+    assert.equal(res.status, 200);
+    assert.equal(res.body.items.length, 10);
+  });
+});
+
+describe('replaying through a stand-in server (RT_FEED_BASE_URL)', () => {
+  let server;
+  let restore;
+  const served = [];
+
+  before(async () => {
+    server = http.createServer((req, res) => {
+      served.push(req.url);
+      const file = path.join(DATA_DIR, path.basename(req.url));
+      if (!fs.existsSync(file)) { res.writeHead(404); return res.end(); }
+      res.writeHead(200, { 'content-type': 'application/x-protobuf' });
+      res.end(fs.readFileSync(file));
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    restore = withEnv({ RT_FEED_DIR: null, RT_FEED_BASE_URL: `http://127.0.0.1:${server.address().port}` });
+    clearFeedCache();
+  });
+
+  after(async () => {
+    restore();
+    clearFeedCache();
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  test('adapters request <agency>-<kind>.pb from the server', async () => {
+    const vehicles = await adapters.ttc.vehicles('7');
+    assert.equal(vehicles.length, 8);
+    assert.deepEqual(served, ['/ttc-vehicles.pb']);
+  });
+});
+
+describe('GET /api/transit/alerts over a replayed feed', () => {
+  let dir;
+  let restore;
+
+  before(() => {
+    const ts = (en, fr) => ({ translation: [{ language: 'en', text: en }, { language: 'fr', text: fr }] });
+    const { FeedMessage } = GtfsRT.transit_realtime;
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'rt-replay-'));
+    fs.writeFileSync(path.join(dir, 'drt-alerts.pb'), FeedMessage.encode({
+      header: { gtfsRealtimeVersion: '2.0' },
+      entity: [{ id: '1', alert: { headerText: ts('Detour', 'Détour'), descriptionText: ts('Use Main St', 'Utilisez la rue Main') } }]
+    }).finish());
+    restore = withEnv({ RT_FEED_DIR: dir, RT_FEED_BASE_URL: null });
+    clearFeedCache();
+  });
+
+  after(() => {
+    restore();
+    clearFeedCache();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('follows Accept-Language, and ?lang overrides it', async () => {
+    const fr = await request(app).get('/api/transit/alerts?agency=drt').set('Accept-Language', 'fr-CA,fr;q=0.9,en;q=0.8');
+    assert.equal(fr.body.items[0].headerText, 'Détour');
+    assert.equal(fr.body.items[0].descriptionText, 'Utilisez la rue Main');
+    assert.deepEqual(fr.body.items[0].translations.headerText, { en: 'Detour', fr: 'Détour' });
+
+    const en = await request(app).get('/api/transit/alerts?agency=drt&lang=en').set('Accept-Language', 'fr');
+    assert.equal(en.body.items[0].headerText, 'Detour');
+    assert.deepEqual(en.body.lang, ['en']);
+
+    const none = await request(app).get('/api/transit/alerts?agency=drt');
+    assert.equal(none.body.items[0].headerText, 'Detour');
+    assert.equal(none.body.items[0].isNew, false);
+    assert.equal(none.body.cursor, none.body.generatedAt);
+  });
+
+  test('filters by an explicit from/to range', async () => {
+    const past = await request(app).get('/api/transit/alerts?agency=drt&from=2020-01-01T00:00:00Z&to=2020-01-02T00:00:00Z');
+    assert.equal(past.status, 200);
+    assert.equal(past.body.items.length, 1); // no active periods = always active
+    assert.equal(past.body.from, '2020-01-01T00:00:00.000Z');
+
+    const bad = await request(app).get('/api/transit/alerts?agency=drt&from=soon');
+    assert.equal(bad.status, 400);
+    const reversed = await request(app).get('/api/transit/alerts?agency=drt&from=1700000000&to=1600000000');
+    assert.equal(reversed.status, 400);
+  });
+});
@@ -0,0 +1,14 @@
+// backend/tests/helpers/fakePool.js
+// Stands in for pg.Pool: records every query and answers with `rows`, or with what
+// `rows(sql, params)` returns when it is a function.
+export function fakePool(rows = []) {
+  const calls = [];
+  return {
+    calls,
+    async query(sql, params) {
+      calls.push({ sql, params });
+      const result = typeof rows === 'function' ? rows(sql, params) : rows;
+      return { rows: result, rowCount: result.length };
+    }
+  };
+}
@@ -0,0 +1,93 @@
+// backend/tests/prestoCsv.test.js
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { parsePrestoCsv, moneyToCents } from '../src/lib/prestoCsv.js';
+import {
+  replayTapHistory, savingsReport, directionFor, Agencies, Directions, FareCategories, TapStatus
+} from '../src/fareEngine.js';
+
+// Newest-first, as PRESTO exports it
+const CSV = `"Date","Transit Agency","Location","Type","Service Class","Discount","Amount","Balance"
+"9/3/2025 6:10:00 PM","Toronto Transit Commission","UNION STATION","Fare Payment","Regular","$0.00","$3.30","$9.60"
+"9/3/2025 5:20:00 PM","GO Transit","Union Station","Fare Payment","Regular","$0.00","$5.90","$12.90"
+"9/3/2025 9:05:00 AM","GO Transit","Union Station","Tap Off","Regular","$0.00","$2.00","$18.80"
+"9/3/2025 8:30:00 AM","GO Transit","Oakville GO","Fare Payment","Regular","$3.30","$4.10","$16.80"
+"9/3/2025 8:01:00 AM","MiWay","Erin Mills Stn","Fare Payment","Regular","$0.00","$3.20","$20.90"
+"9/1/2025 7:00:00 AM","","","Load Amount","","$0.00","$20.00","$24.10"
+`;
+
+describe('prestoCsv.parsePrestoCsv', () => {
+  test('reads taps oldest-first and folds GO tap-offs into the tap-on', () => {
+    const { taps, skipped } = parsePrestoCsv(CSV);
+    assert.equal(skipped, 1);
+    assert.deepEqual(taps.map(t => t.agency), [Agencies.MIWAY, Agencies.GO, Agencies.GO, Agencies.TTC]);
+    assert.equal(taps[0].tapISO, '2025-09-03T12:01:00.000Z');
+    assert.equal(taps[1].chargedCents, 210);
+    assert.equal(taps[1].discountCents, 330);
+    assert.equal(taps[1].destination, 'Union Station');
+    assert.equal(taps[0].category, FareCategories.ADULT);
+  });
+
+  test('moneyToCents handles symbols and signs', () => {
+    assert.equal(moneyToCents('$3.30'), 330);
+    assert.equal(moneyToCents('-$1.05'), 105);
+    assert.equal(moneyToCents(''), null);
+  });
+});
+
+describe('fareEngine.replayTapHistory', () => {
+  test('flags a TTC tap charged in full inside a GO window', () => {
+    const { taps } = parsePrestoCsv(CSV);
+    const r = replayTapHistory(taps);
+    const ttc = r.taps.find(t => t.agency === Agencies.TTC);
+    assert.equal(ttc.expected.status, TapStatus.FREE);
+    assert.equal(ttc.flagged, true);
+    assert.equal(ttc.overchargeCents, 330);
+    // The GO leg did get its MiWay credit, so it is not flagged
+    assert.equal(r.taps[1].expected.status, TapStatus.DISCOUNTED);
+    assert.equal(r.taps[1].flagged, false);
+    assert.equal(r.flaggedCount, 1);
+  });
+
+  test('prices each window under the rules in force on its own day', () => {
+    const tap = (tapISO, agency) => ({ tapISO, agency, chargedCents: 330, discountCents: 0 });
+    const r = replayTapHistory([
+      // Before One Fare: TTC → MiWay paid twice
+      tap('2024-02-20T13:00:00Z', Agencies.TTC),
+      tap('2024-02-20T13:30:00Z', Agencies.MIWAY),
+      // After it: the same transfer is free
+      tap('2024-03-05T13:00:00Z', Agencies.TTC),
+      tap('2024-03-05T13:30:00Z', Agencies.MIWAY)
+    ]);
+    assert.deepEqual(r.taps.map(t => t.expected.status),
+      [TapStatus.FULL, TapStatus.FULL, TapStatus.FULL, TapStatus.FREE]);
+    assert.deepEqual(r.rulesVersions, ['pre-one-fare', 'one-fare-2024']);
+    assert.equal(r.rulesVersion, 'one-fare-2024');
+    assert.equal(r.flaggedCount, 1);
+  });
+});
+
+describe('fareEngine.savingsReport', () => {
+  test('aggregates savings by month, agency pair and direction', () => {
+    const { taps } = parsePrestoCsv(CSV);
+    const r = savingsReport(replayTapHistory(taps));
+
+    assert.equal(r.totals.taps, 4);
+    assert.equal(r.totals.transfers, 2);
+    // Only the MiWay → GO transfer got a discount ($3.30); the TTC leg was missed
+    assert.equal(r.totals.savedCents, 330);
+    assert.equal(r.totals.doubleFareCents, r.totals.chargedCents + 330);
+    assert.deepEqual(r.byMonth.map(m => m.month), ['2025-09']);
+    assert.deepEqual(
+      r.byAgencyPair.map(p => `${p.from}>${p.to}`).sort(),
+      ['GO>TTC', 'MIWAY>GO']
+    );
+    assert.equal(r.byDirection.find(d => d.direction === Directions.GO_TTC).transfers, 1);
+  });
+
+  test('directionFor maps agency pairs to Directions', () => {
+    assert.equal(directionFor(Agencies.TTC, Agencies.GO), Directions.TTC_GO);
+    assert.equal(directionFor(Agencies.YRT, Agencies.TTC), Directions.TTC_905);
+    assert.equal(directionFor(Agencies.MIWAY, Agencies.GO), 'OTHER');
+  });
+});
@@ -0,0 +1,141 @@
+// backend/tests/schedule.test.js
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import GtfsRT from 'gtfs-realtime-bindings';
+import { tripCancellationsFor } from '../src/lib/adapters/base.js';
+import {
+  serviceDayTime, withScheduleDeviation, withTripDetails, mergeRealtimeAndSchedule, arrivalsSource
+} from '../src/lib/schedule.js';
+import { scheduledTimesForTrips } from '../src/lib/scheduleDb.js';
+import { fakePool } from './helpers/fakePool.js';
+
+describe('schedule.serviceDayTime', () => {
+  test('uses the trip start date when given', () => {
+    const t = serviceDayTime(8 * 3600, '2025-09-03T12:05:00Z', '20250903');
+    assert.equal(t.toUTC().toISO(), '2025-09-03T12:00:00.000Z');
+  });
+
+  test('puts after-midnight times (>24h) on the previous service day', () => {
+    // 25:10 on Sept 3 service = 01:10 Sept 4 local
+    const t = serviceDayTime(25 * 3600 + 600, '2025-09-04T05:12:00Z');
+    assert.equal(t.toUTC().toISO(), '2025-09-04T05:10:00.000Z');
+  });
+});
+
+describe('schedule.withScheduleDeviation', () => {
+  const rt = (tripId, when, extra = {}) =>
+    ({ when, realtime: true, tripId, stopId: '1234', scheduledWhen: null, delaySec: null, ...extra });
+
+  test('joins realtime arrivals against scheduled stop times', async () => {
+    const arrivals = [
+      rt('A', '2025-09-03T12:03:00Z'),
+      rt('B', '2025-09-03T12:09:30Z'),
+      rt('C', '2025-09-03T12:20:00Z')
+    ];
+    const lookup = async (agency, stopId, tripIds) => {
+      assert.equal(stopId, '1234');
+      assert.deepEqual(tripIds, ['A', 'B', 'C']);
+      return new Map([['A', 8 * 3600], ['B', 8 * 3600 + 600]]); // 08:00 and 08:10 EDT
+    };
+    await withScheduleDeviation('ttc', arrivals, { lookup });
+
+    assert.equal(arrivals[0].delaySec, 180);
+    assert.equal(arrivals[0].scheduledWhen, '2025-09-03T12:00:00.000Z');
+    assert.equal(arrivals[1].delaySec, -30);
+    assert.equal(arrivals[2].delaySec, null); // trip not in the static schedule
+  });
+
+  test('keeps the delay the feed already published', async () => {
+    const arrivals = [rt('A', '2025-09-03T12:03:00Z', { delaySec: 60 })];
+    await withScheduleDeviation('ttc', arrivals, { lookup: async () => { throw new Error('not called'); } });
+    assert.equal(arrivals[0].delaySec, 60);
+  });
+});
+
+describe('scheduleDb.scheduledTimesForTrips', () => {
+  // Two feeds imported into one DB that both use stop 1234 and trip 42
+  const stopTimes = [
+    { agency: 'TTC', stop_id: '1234', trip_id: '42', sec: 8 * 3600 },
+    { agency: 'MIWAY', stop_id: '1234', trip_id: '42', sec: 17 * 3600 }
+  ];
+  const pool = fakePool((sql, [agency, stopId, tripIds]) => {
+    assert.match(sql, /t\.agency = \$1/);
+    return stopTimes.filter(r => r.agency === agency && r.stop_id === stopId && tripIds.includes(r.trip_id));
+  });
+
+  test('only reads the requested agency\'s stop times', async () => {
+    assert.deepEqual(await scheduledTimesForTrips('ttc', '1234', ['42'], { pool }), new Map([['42', 8 * 3600]]));
+    assert.deepEqual(await scheduledTimesForTrips('miway', '1234', ['42'], { pool }), new Map([['42', 17 * 3600]]));
+  });
+});
+
+describe('schedule.withTripDetails', () => {
+  test('labels realtime arrivals with static headsigns and route names', async () => {
+    const arrivals = [
+      { when: '2025-09-03T12:03:00Z', realtime: true, tripId: '49001', routeShortName: '5342', headsign: '' },
+      { when: '2025-09-03T12:05:00Z', realtime: true, tripId: '49002', routeShortName: '5342', headsign: 'Short turn' },
+      { when: '2025-09-03T12:07:00Z', realtime: true, tripId: 'unknown', routeShortName: '5342', headsign: '' }
+    ];
+    const lookup = async (agency, tripIds) => {
+      assert.deepEqual(tripIds, ['49001', '49002', 'unknown']);
+      const d = { headsign: 'East - 501 Queen towards Neville Park', routeShortName: '501', routeLongName: 'QUEEN' };
+      return new Map([['49001', d], ['49002', d]]);
+    };
+    await withTripDetails('ttc', arrivals, { lookup });
+
+    assert.equal(arrivals[0].headsign, 'East - 501 Queen towards Neville Park');
+    assert.equal(arrivals[0].routeShortName, '501');
+    assert.equal(arrivals[0].routeLongName, 'QUEEN');
+    assert.equal(arrivals[1].headsign, 'Short turn'); // feed's stop headsign wins
+    assert.equal(arrivals[2].routeShortName, '5342');
+    assert.equal(arrivals[2].routeLongName, undefined);
+  });
+
+  test('leaves arrivals alone when the lookup fails', async () => {
+    const arrivals = [{ when: '2025-09-03T12:03:00Z', realtime: true, tripId: 'A', routeShortName: 'x', headsign: '' }];
+    await withTripDetails('ttc', arrivals, { lookup: async () => { throw new Error('db down'); } });
+    assert.equal(arrivals[0].routeShortName, 'x');
+  });
+});
+
+describe('schedule.mergeRealtimeAndSchedule', () => {
+  const sch = (tripId, when, route = '54') => ({ tripId, when, realtime: false, routeShortName: route });
+  const rt = (tripId, when, extra = {}) => ({ tripId, when, realtime: true, routeShortName: '54', ...extra });
+
+  test('realtime replaces its own trip and the schedule fills in the rest', () => {
+    const merged = mergeRealtimeAndSchedule(
+      [rt('A', '2025-09-03T12:04:00Z'), rt('B', '2025-09-03T12:12:00Z', { status: 'CANCELED' })],
+      [sch('A', '2025-09-03T12:02:00Z'), sch('B', '2025-09-03T12:10:00Z'), sch('Z', '2025-09-03T12:06:00Z', '95')]
+    );
+    assert.deepEqual(merged.map(a => [a.tripId, a.source]), [['A', 'rt'], ['Z', 'schedule'], ['B', 'rt']]);
+    assert.equal(merged[2].status, 'CANCELED');
+    assert.equal(arrivalsSource(merged), 'mixed');
+  });
+
+  test('reports a single source when only one side has departures', () => {
+    const limited = mergeRealtimeAndSchedule([], [sch('A', '2025-09-03T12:02:00Z'), sch('B', '2025-09-03T12:10:00Z')], { limit: 1 });
+    assert.equal(limited.length, 1);
+    assert.equal(arrivalsSource(limited), 'schedule');
+    assert.equal(arrivalsSource(mergeRealtimeAndSchedule([rt('A', '2025-09-03T12:04:00Z')], [])), 'rt');
+  });
+
+  test('cancels scheduled departures of trips cancelled as a whole', () => {
+    const { FeedMessage } = GtfsRT.transit_realtime;
+    // Trip-level CANCELED / DELETED with no stop_time_updates, so no realtime arrival exists
+    const feed = FeedMessage.decode(FeedMessage.encode({
+      header: { gtfsRealtimeVersion: '2.0' },
+      entity: [
+        { id: '1', tripUpdate: { trip: { tripId: 'B', scheduleRelationship: 3 } } },
+        { id: '2', tripUpdate: { trip: { tripId: 'C', scheduleRelationship: 7 } } }
+      ]
+    }).finish());
+    const merged = mergeRealtimeAndSchedule(
+      [],
+      [sch('A', '2025-09-03T12:02:00Z'), sch('B', '2025-09-03T12:10:00Z'), sch('C', '2025-09-03T12:20:00Z')],
+      { cancelled: tripCancellationsFor(feed) }
+    );
+    assert.deepEqual(merged.map(a => [a.tripId, a.status ?? null, a.source]), [
+      ['A', null, 'schedule'], ['B', 'CANCELED', 'rt']
+    ]);
+  });
+});
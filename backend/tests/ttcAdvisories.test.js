@@ -0,0 +1,94 @@
+// backend/tests/ttcAdvisories.test.js
+import { test, describe, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import request from 'supertest';
+import { DateTime } from 'luxon';
+import {
+  parseTtcAdvisories, getTtcAdvisories, clearTtcAdvisoryCache, ADVISORY_PAGES
+} from '../src/lib/ttcAdvisories.js';
+import { app } from '../src/app.js';
+
+// Saved ttc.ca advisory pages
+const fixture = name => fs.readFileSync(new URL(`./fixtures/${name}.html`, import.meta.url), 'utf8');
+const now = DateTime.fromISO('2025-09-01T12:00', { zone: 'America/Toronto' });
+
+describe('ttcAdvisories.parseTtcAdvisories', () => {
+  test('subway page: one item per advisory card, page chrome skipped', () => {
+    const items = parseTtcAdvisories(fixture('ttc-subway-service'), ADVISORY_PAGES.subway, { now });
+    assert.deepEqual(items.map(it => it.lines), [['1'], ['2']]);
+
+    const [closure, nightly] = items;
+    assert.equal(closure.headerText, 'Line 1 Yonge-University: No subway service between St Clair and Union stations');
+    assert.deepEqual(closure.stations, ['St Clair', 'Union']);
+    assert.equal(closure.start, '2025-09-06T10:00:00.000Z');
+    assert.equal(closure.end, '2025-09-08T03:59:00.000Z');
+    assert.match(closure.shuttle.text, /^Shuttle buses will run between St Clair and Union stations/);
+    assert.equal(closure.url, 'https://www.ttc.ca/service-advisories/subway-service/Line-1-closure-St-Clair-to-Union');
+    assert.doesNotMatch(closure.descriptionText, /Riding the TTC|Contact us/);
+
+    // "Starts: September 8, 2025 at 11 p.m. Ends: September 11, 2025"
+    assert.equal(nightly.start, '2025-09-09T03:00:00.000Z');
+    assert.equal(nightly.end, '2025-09-12T03:59:59.999Z');
+    assert.deepEqual(nightly.shuttle.stations, ['Kipling', 'Jane']);
+    assert.equal(nightly.url, ADVISORY_PAGES.subway);
+  });
+
+  test('flat streetcar page: headings split advisories, body routes only without title ones', () => {
+    const items = parseTtcAdvisories(fixture('ttc-streetcar-service-changes'), ADVISORY_PAGES.streetcar, { now });
+    assert.deepEqual(items.map(it => it.lines), [['504'], ['501', '505'], ['512']]);
+
+    const [diversion, buses, turnback] = items;
+    assert.equal(diversion.start, '2025-09-14T08:00:00.000Z');
+    assert.equal(diversion.end, '2025-09-21T03:59:59.999Z');
+    assert.equal(buses.start, null);
+    assert.equal(buses.shuttle, null);
+    assert.deepEqual(turnback.stations, ['St Clair West']);
+    // "December 30 to January 3" rolls into the next year
+    assert.equal(turnback.end, '2026-01-04T04:59:59.999Z');
+    assert.deepEqual(turnback.informed.map(e => e.routeId), ['512']);
+    assert.equal(new Set(items.map(it => it.id)).size, 3);
+  });
+
+  test('a year-less end before its start rolls into the next year', () => {
+    const html = `<main><h2>505 Dundas: Diversion</h2>
+      <p>Starts: December 28 at 5 a.m. Ends: January 3. Buses stop at 1450 Dundas St W.</p></main>`;
+    const december = DateTime.fromISO('2025-12-15T12:00', { zone: 'America/Toronto' });
+    const [item] = parseTtcAdvisories(html, ADVISORY_PAGES.streetcar, { now: december });
+    assert.equal(item.start, '2025-12-28T10:00:00.000Z');
+    assert.equal(item.end, '2026-01-04T04:59:59.999Z');
+  });
+});
+
+describe('ttcAdvisories.getTtcAdvisories cache', () => {
+  beforeEach(() => clearTtcAdvisoryCache());
+
+  test('fetches each page once per TTL and shares concurrent requests', async () => {
+    let calls = 0;
+    const fetchText = async () => { calls++; return fixture('ttc-subway-service'); };
+    const [a, b] = await Promise.all([
+      getTtcAdvisories('subway', { fetchText }),
+      getTtcAdvisories('subway', { fetchText })
+    ]);
+    assert.equal(a, b);
+    await getTtcAdvisories('subway', { fetchText });
+    assert.equal(calls, 1);
+    await getTtcAdvisories('subway', { fetchText, ttlMs: 0 });
+    assert.equal(calls, 2);
+  });
+
+  test('keeps the last good copy when a refresh fails', async () => {
+    const good = await getTtcAdvisories('streetcar', { fetchText: async () => fixture('ttc-streetcar-service-changes') });
+    const stale = await getTtcAdvisories('streetcar', { ttlMs: 0, fetchText: async () => { throw new Error('503'); } });
+    assert.equal(stale, good);
+    await assert.rejects(getTtcAdvisories('subway', { fetchText: async () => { throw new Error('503'); } }), /503/);
+  });
+
+  test('GET /api/transit/alerts planned mode serves the cached advisories', async () => {
+    await getTtcAdvisories('subway', { fetchText: async () => fixture('ttc-subway-service') });
+    const res = await request(app)
+      .get('/api/transit/alerts?agency=ttc&mode=subway&route_ref=2&from=2025-09-10T00:00:00Z&to=2025-09-10T06:00:00Z');
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.body.items.map(it => it.lines), [['2']]);
+  });
+});
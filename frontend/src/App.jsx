@@ -5,6 +5,8 @@ import Home from './pages/Home.jsx';
 import Tool from './pages/Tool.jsx';
 import Install from './pages/Install.jsx';
 import Chat from './pages/Chat.jsx'; // NEW
+import Report from './pages/Report.jsx';
+import LiveMap from './pages/LiveMap.jsx';
 
 function NotFound() {
   return (
@@ -26,6 +28,8 @@ export default function AppShell() {
             <Route path="/tool" element={<Tool />} />
             <Route path="/install" element={<Install />} />
             <Route path="/chat" element={<Chat />} /> {/* NEW */}
+            <Route path="/report" element={<Report />} />
+            <Route path="/map" element={<LiveMap />} />
             <Route path="*" element={<NotFound />} />
           </Routes>
         </main>
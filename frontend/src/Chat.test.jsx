@@ -0,0 +1,145 @@
+import { describe, test, expect, beforeEach, afterEach, vi } from 'vitest';
+import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+import Chat from './pages/Chat.jsx';
+
+beforeEach(() => {
+  vi.stubGlobal('fetch', vi.fn(() => Promise.resolve({
+    ok: true,
+    json: async () => ({ arrivals: [], availableRoutes: [], routes: [] })
+  })));
+});
+
+afterEach(() => {
+  vi.unstubAllGlobals();
+});
+
+describe('Chat', () => {
+  test('asks the chosen 905 system for arrivals', async () => {
+    render(<Chat />);
+    fireEvent.click(screen.getByRole('button', { name: 'MiWay' }));
+    fireEvent.click(screen.getByRole('button', { name: 'Arrivals' }));
+    fireEvent.change(screen.getByPlaceholderText('e.g., Warden Station'), { target: { value: '4530' } });
+    fireEvent.click(screen.getByRole('button', { name: 'Ask' }));
+
+    await waitFor(() => expect(fetch).toHaveBeenCalled());
+    const url = String(fetch.mock.calls[0][0]);
+    expect(url).toContain('/api/transit/arrivals');
+    expect(url).toContain('agency=miway');
+  });
+
+  test('shows how late a realtime arrival is', async () => {
+    fetch.mockImplementationOnce(() => Promise.resolve({
+      ok: true,
+      json: async () => ({
+        source: 'rt',
+        generatedAt: '2025-09-03T12:00:00Z',
+        arrivals: [{ when: '2025-09-03T12:03:00Z', realtime: true, routeShortName: '83', delaySec: 180,
+          scheduledWhen: '2025-09-03T12:00:00Z' }]
+      })
+    }));
+    render(<Chat />);
+    fireEvent.click(screen.getByRole('button', { name: 'Arrivals' }));
+    fireEvent.change(screen.getByPlaceholderText('e.g., Warden Station'), { target: { value: '1234' } });
+    fireEvent.click(screen.getByRole('button', { name: 'Ask' }));
+
+    expect(await screen.findByText('3 min late')).toBeInTheDocument();
+  });
+
+  test('strikes through cancelled departures', async () => {
+    fetch.mockImplementationOnce(() => Promise.resolve({
+      ok: true,
+      json: async () => ({
+        source: 'rt',
+        generatedAt: '2025-09-03T12:00:00Z',
+        arrivals: [
+          { when: '2025-09-03T12:03:00Z', realtime: true, routeShortName: '83', headsign: 'Jones', status: 'CANCELED' },
+          { when: '2025-09-03T12:09:00Z', realtime: true, routeShortName: '83', headsign: 'Jones', status: 'SCHEDULED' }
+        ]
+      })
+    }));
+    render(<Chat />);
+    fireEvent.click(screen.getByRole('button', { name: 'Arrivals' }));
+    fireEvent.change(screen.getByPlaceholderText('e.g., Warden Station'), { target: { value: '1234' } });
+    fireEvent.click(screen.getByRole('button', { name: 'Ask' }));
+
+    const gone = (await screen.findByText('Cancelled')).closest('li');
+    const running = gone.nextElementSibling;
+    expect(gone.querySelector('.line-through')).not.toBeNull();
+    expect(running.querySelector('.line-through')).toBeNull();
+  });
+
+  test('switches an alert to the other published language', async () => {
+    fetch.mockImplementationOnce(() => Promise.resolve({
+      ok: true,
+      json: async () => ({
+        generatedAt: '2025-09-03T12:00:00Z',
+        items: [{
+          id: 'a1', headerText: 'Detour', descriptionText: 'Use Main St', language: 'en',
+          translations: {
+            headerText: { en: 'Detour', fr: 'Détour' },
+            descriptionText: { en: 'Use Main St', fr: 'Utilisez la rue Main' }
+          }
+        }]
+      })
+    }));
+    render(<Chat />);
+    fireEvent.click(screen.getByRole('button', { name: 'Alerts' }));
+    fireEvent.click(screen.getByRole('button', { name: 'Ask' }));
+
+    fireEvent.click(await screen.findByRole('button', { name: 'FR' }));
+    expect(screen.getByText('Détour')).toBeInTheDocument();
+    expect(screen.getByText('Utilisez la rue Main')).toBeInTheDocument();
+    expect(screen.getByRole('button', { name: 'EN' })).toBeInTheDocument();
+  });
+
+  test('sends the last alerts cursor back and marks new alerts', async () => {
+    localStorage.clear();
+    const alerts = (cursor, items) => ({ ok: true, json: async () => ({ generatedAt: cursor, cursor, items }) });
+    fetch
+      .mockImplementationOnce(() => Promise.resolve(alerts('2025-09-03T12:00:00.000Z', [
+        { id: 'a1', headerText: 'Elevator out of service', isNew: false }
+      ])))
+      .mockImplementationOnce(() => Promise.resolve(alerts('2025-09-03T12:05:00.000Z', [
+        { id: 'a2', headerText: 'Detour on 506', isNew: true },
+        { id: 'a1', headerText: 'Elevator out of service', isNew: false }
+      ])));
+    render(<Chat />);
+    fireEvent.click(screen.getByRole('button', { name: 'Alerts' }));
+    fireEvent.click(screen.getByRole('button', { name: 'Ask' }));
+    await screen.findByText('Elevator out of service');
+    expect(String(fetch.mock.calls[0][0])).not.toContain('since=');
+    expect(screen.queryByText('New')).toBeNull();
+
+    fireEvent.click(screen.getByRole('button', { name: 'Ask' }));
+    await screen.findByText('Detour on 506');
+    expect(new URL(String(fetch.mock.calls[1][0]), 'http://x').searchParams.get('since')).toBe('2025-09-03T12:00:00.000Z');
+    expect(screen.getAllByText('New')).toHaveLength(1);
+  });
+
+  test('subscribes a verified phone to new alerts for the route', async () => {
+    localStorage.clear();
+    localStorage.setItem('sms_recipient_id', 'r-1');
+    fetch
+      .mockImplementationOnce(() => Promise.resolve({ ok: true, json: async () => ({ items: [] }) }))
+      .mockImplementationOnce(() => Promise.resolve({ ok: true, text: async () => '{"id":"s-1"}' }));
+    render(<Chat />);
+    fireEvent.click(screen.getByRole('button', { name: 'Alerts' }));
+    fireEvent.change(screen.getByPlaceholderText('e.g., 83'), { target: { value: '506' } });
+    fireEvent.click(screen.getByRole('button', { name: 'Ask' }));
+
+    fireEvent.click(await screen.findByRole('button', { name: 'Text me new alerts for route 506' }));
+    expect(await screen.findByText(/text you new alerts for route 506/)).toBeInTheDocument();
+    const [url, init] = fetch.mock.calls[1];
+    expect(String(url)).toContain('/api/alerts/subscriptions');
+    expect(JSON.parse(init.body)).toEqual({ recipientId: 'r-1', agency: 'ttc', routeRef: '506' });
+    localStorage.clear();
+  });
+
+  test('only offers real-time alerts outside the TTC', () => {
+    render(<Chat />);
+    fireEvent.click(screen.getByRole('button', { name: 'YRT' }));
+    fireEvent.click(screen.getByRole('button', { name: 'Alerts' }));
+    expect(screen.queryByRole('option', { name: /Subway closures/ })).toBeNull();
+    expect(screen.getByRole('option', { name: /Service alerts \(real-time\)/ })).toBeInTheDocument();
+  });
+});
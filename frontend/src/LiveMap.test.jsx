@@ -0,0 +1,36 @@
+import { describe, test, expect, beforeEach, afterEach, vi } from 'vitest';
+import { render, screen, fireEvent } from '@testing-library/react';
+import LiveMap from './pages/LiveMap.jsx';
+
+beforeEach(() => {
+  vi.stubGlobal('fetch', vi.fn(() => Promise.resolve({
+    ok: true,
+    json: async () => ({
+      agency: 'ttc',
+      routeRef: '501',
+      generatedAt: '2025-09-04T03:00:00Z',
+      vehicles: [
+        { id: '4401', label: '4401', lat: 43.64, lon: -79.40, bearing: 90, occupancy: 'MANY_SEATS_AVAILABLE', timestamp: '2025-09-04T02:59:30Z' },
+        { id: '4402', label: '4402', lat: 43.66, lon: -79.35, bearing: null, occupancy: null, timestamp: null }
+      ]
+    })
+  })));
+});
+
+afterEach(() => {
+  vi.unstubAllGlobals();
+});
+
+describe('LiveMap', () => {
+  test('plots the vehicles on the chosen route', async () => {
+    render(<LiveMap />);
+    fireEvent.change(screen.getByLabelText('Transit system'), { target: { value: 'ttc' } });
+    fireEvent.change(screen.getByLabelText('Route'), { target: { value: '501' } });
+    fireEvent.click(screen.getByRole('button', { name: /Show vehicles/i }));
+
+    const map = await screen.findByRole('img', { name: /route 501/i });
+    expect(map.querySelectorAll('[data-vehicle]')).toHaveLength(2);
+    expect(screen.getByText('many seats available')).toBeInTheDocument();
+    expect(String(fetch.mock.calls[0][0])).toContain('/api/transit/vehicles?agency=ttc&route_ref=501');
+  });
+});
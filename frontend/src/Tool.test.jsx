@@ -45,6 +45,82 @@ describe('Tool', () => {
     expect(screen.getByText(/^⏱️/)).toBeInTheDocument();
   });
 
+  test('renders the rule checklist from the trace', async () => {
+    fetch.mockImplementationOnce(() => Promise.resolve({
+      ok: true,
+      json: async () => ({
+        eligibleNow: false,
+        deadlineISO: new Date(Date.now() + 60 * 1000).toISOString(),
+        reasons: ['You must use the same card/phone/watch for all taps.'],
+        trace: [
+          { code: 'PARTICIPATING_AGENCY', rule: 'Starting agency takes part in One Fare', passed: true, message: 'ok' },
+          { code: 'SAME_CARD', rule: 'Same card/phone/watch for every tap', passed: false,
+            message: 'You must use the same card/phone/watch for all taps.' }
+        ],
+        savingsText: '',
+        expiredNextSteps: null
+      })
+    }));
+    render(<Tool />);
+    fireEvent.click(screen.getByRole('button', { name: /I just tapped/i }));
+
+    const list = await screen.findByRole('list', { name: /Eligibility checklist/i });
+    expect(list.querySelectorAll('li')).toHaveLength(2);
+    expect(list.querySelector('[data-rule="SAME_CARD"]')).toHaveTextContent(/❌/);
+  });
+
+  test('sends the chosen rider type', async () => {
+    render(<Tool />);
+    fireEvent.change(screen.getByLabelText(/Rider type/i), { target: { value: 'SENIOR' } });
+    fireEvent.click(screen.getByRole('button', { name: /I just tapped/i }));
+    await waitFor(() => expect(fetch).toHaveBeenCalled());
+    const [, init] = fetch.mock.calls.find(([u]) => String(u).includes('/api/check'));
+    expect(JSON.parse(init.body).category).toBe('SENIOR');
+  });
+
+  test('sends GO stations and shows the GO fare', async () => {
+    fetch.mockImplementationOnce(() => Promise.resolve({
+      ok: true,
+      json: async () => ({
+        eligibleNow: true,
+        deadlineISO: new Date(Date.now() + 60 * 1000).toISOString(),
+        reasons: [],
+        savingsText: '',
+        fare: { text: 'GO Union Station → Oakville GO: $7.58. With One Fare you pay $7.58 in total instead of $10.88.' }
+      })
+    }));
+    render(<Tool />);
+    fireEvent.change(screen.getByLabelText(/GO origin station/i), { target: { value: 'Union Station' } });
+    fireEvent.change(screen.getByLabelText(/GO destination station/i), { target: { value: 'Oakville GO' } });
+    fireEvent.click(screen.getByRole('button', { name: /I just tapped/i }));
+
+    expect(await screen.findByTestId('go-fare')).toHaveTextContent(/instead of \$10\.88/);
+    const body = JSON.parse(fetch.mock.calls[0][1].body);
+    expect(body).toMatchObject({ goOrigin: 'Union Station', goDestination: 'Oakville GO' });
+  });
+
+  test('uploads a PRESTO CSV and lists flagged taps', async () => {
+    fetch.mockImplementationOnce(() => Promise.resolve({
+      ok: true,
+      json: async () => ({
+        taps: [
+          { tapISO: '2025-09-03T22:10:00Z', agency: 'TTC', location: 'UNION STATION', chargedCents: 330,
+            expected: { status: 'FREE', chargeCents: 0 }, flagged: true, overchargeCents: 330 }
+        ],
+        flaggedCount: 1,
+        overchargeCents: 330
+      })
+    }));
+    render(<Tool />);
+    const file = new File(['Date,Transit Agency\n'], 'presto.csv', { type: 'text/csv' });
+    file.text = async () => 'Date,Transit Agency\n'; // jsdom's File has no text()
+    fireEvent.change(screen.getByLabelText(/PRESTO CSV file/i), { target: { files: [file] } });
+
+    await waitFor(() => expect(screen.getByText(/UNION STATION/)).toBeInTheDocument());
+    expect(fetch.mock.calls[0][0]).toContain('/api/fare/history');
+    expect(screen.getByText(/\$3\.30 extra/)).toBeInTheDocument();
+  });
+
   test('handles API error gracefully', async () => {
     fetch.mockImplementationOnce(() =>
       Promise.resolve({ ok: false, status: 500, text: async () => 'server error' })
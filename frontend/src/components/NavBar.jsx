@@ -30,6 +30,8 @@ export default function NavBar() {
           <NavLink to="/" end className={({ isActive }) => linkCls(isActive)}>Home</NavLink>
           <NavLink to="/tool" className={({ isActive }) => linkCls(isActive)}>Open the Tool</NavLink>
           <NavLink to="/chat" className={({ isActive }) => linkCls(isActive)}>Transit Chat</NavLink>
+          <NavLink to="/map" className={({ isActive }) => linkCls(isActive)}>Live map</NavLink>
+          <NavLink to="/report" className={({ isActive }) => linkCls(isActive)}>Savings report</NavLink>
           <NavLink to="/install" className={({ isActive }) => linkCls(isActive)}>Install app</NavLink>
           <button type="button" className="inline-flex items-center rounded-xl px-3 py-2 text-sm font-medium text-slate-700 hover:bg-slate-100 dark:text-slate-100 dark:hover:bg-slate-800 transition-colors"
             onClick={() => setDark((d) => !d)} aria-pressed={dark}
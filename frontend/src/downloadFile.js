@@ -0,0 +1,12 @@
+// frontend/src/downloadFile.js
+// Save generated text (calendar, CSV) as a file via a temporary object URL.
+export function downloadFile(filename, mime, text) {
+  const blob = new Blob([text], { type: mime });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url; a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  URL.revokeObjectURL(url);
+  a.remove();
+}
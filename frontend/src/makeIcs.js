@@ -1,4 +1,6 @@
 // frontend/src/makeIcs.js
+import { downloadFile } from './downloadFile.js';
+
 export function makeIcs(deadlineISO) {
   const dt = new Date(deadlineISO);
   const pad = n => String(n).padStart(2, '0');
@@ -42,13 +44,5 @@ END:VCALENDAR`;
 }
 
 export function downloadIcs(filename, icsString) {
-  const blob = new Blob([icsString], { type: 'text/calendar;charset=utf-8' });
-  const url = URL.createObjectURL(blob);
-  const a = document.createElement('a');
-  a.href = url; a.download = filename;
-  document.body.appendChild(a);
-  a.click();
-  URL.revokeObjectURL(url);
-  a.remove();
+  downloadFile(filename, 'text/calendar;charset=utf-8', icsString);
 }
-
@@ -1,16 +1,23 @@
 import { useState } from 'react';
 import { API_BASE } from '../apiBase.js';
+import { delayText } from '../time.js';
+import { getSmsRecipientId, subscribeSmsAlerts } from '../sms-client.js';
 
+// `agency` is the backend adapter key (see backend/src/lib/adapters/index.js)
 const SYSTEMS = [
-  { label:'TTC', value:'TTC', enabled:true },
-  { label:'MiWay (coming soon)', value:'MiWay', enabled:false },
-  { label:'Brampton (coming soon)', value:'Brampton', enabled:false },
-  { label:'DRT (coming soon)', value:'DRT', enabled:false },
-  { label:'YRT (coming soon)', value:'YRT', enabled:false },
+  { label:'TTC', value:'TTC', agency:'ttc', enabled:true },
+  { label:'MiWay', value:'MiWay', agency:'miway', enabled:true },
+  { label:'Brampton', value:'Brampton', agency:'brampton', enabled:true },
+  { label:'DRT', value:'DRT', agency:'drt', enabled:true },
+  { label:'YRT', value:'YRT', agency:'yrt', enabled:true },
 ];
 const INTENTS = ['Arrivals','Alerts'];
+const SOURCE_LABELS = { rt: 'Real-time', schedule: 'Schedule', mixed: 'Real-time + schedule' };
+// Arrivals the feed says won't happen; shown struck through
+const STATUS_LABELS = { CANCELED: 'Cancelled', SKIPPED: 'Stop skipped' };
 
 // NEW: TTC-style alert categories
+// Only the real-time type exists outside the TTC; the planned ones come from ttc.ca
 const ALERT_TYPES = [
   { label: 'Service alerts (real-time)', value: 'rt' },
   { label: 'Service changes (planned)', value: 'service_changes' },
@@ -20,6 +27,15 @@ const ALERT_TYPES = [
   { label: 'Construction notices (planned)', value: 'construction' },
 ];
 
+// When alerts were last fetched per agency/type, sent back as `since` so new ones stand out
+const alertCursorKey = (agency, mode) => `alerts_cursor:${agency}:${mode}`;
+function readAlertCursor(agency, mode) {
+  try { return localStorage.getItem(alertCursorKey(agency, mode)); } catch { return null; }
+}
+function writeAlertCursor(agency, mode, cursor) {
+  try { if (cursor) localStorage.setItem(alertCursorKey(agency, mode), cursor); } catch { /* private mode: no highlighting */ }
+}
+
 function Chip({ active, children, onClick, disabled=false, title='' }) {
   const base = 'px-3 py-1.5 rounded-full border transition';
   const activeCls = 'bg-slate-900 text-white border-slate-900';
@@ -44,6 +60,57 @@ function ErrorNotice({ text }) {
   );
 }
 
+// Alert header/description with a switch between the languages the agency published
+function AlertText({ alert }) {
+  const [lang, setLang] = useState(null);
+  const headers = alert.translations?.headerText || {};
+  const descriptions = alert.translations?.descriptionText || {};
+  const langs = Object.keys(headers).filter(l => l !== 'und');
+  const header = (lang && headers[lang]) || alert.headerText;
+  const description = (lang && descriptions[lang]) || alert.descriptionText;
+  const current = lang || alert.language;
+  return (
+    <>
+      <div className="font-semibold">
+        {header || 'Alert'}
+        {langs.length > 1 && langs.filter(l => l !== current).map(l => (
+          <button key={l} type="button" className="ml-2 text-xs underline font-normal" onClick={() => setLang(l)}>
+            {l.toUpperCase()}
+          </button>
+        ))}
+      </div>
+      {description && <div className="text-sm text-slate-700 whitespace-pre-line">{description}</div>}
+    </>
+  );
+}
+
+// Offered to phones already verified for SMS reminders
+function AlertSubscribe({ agency, routeRef, stopRef }) {
+  const [status, setStatus] = useState('');
+  if (!getSmsRecipientId()) return null;
+  const what = [routeRef && `route ${routeRef}`, stopRef].filter(Boolean).join(' at ');
+
+  async function subscribe() {
+    setStatus('saving');
+    try {
+      await subscribeSmsAlerts({ agency, routeRef, stopRef });
+      setStatus('done');
+    } catch (e) {
+      setStatus(String(e?.message || e));
+    }
+  }
+
+  if (status === 'done') return <div className="text-sm text-slate-600">We’ll text you new alerts for {what}.</div>;
+  return (
+    <div className="flex items-center gap-3 text-sm">
+      <button type="button" className="btn btn-ghost" disabled={status === 'saving'} onClick={subscribe}>
+        Text me new alerts for {what}
+      </button>
+      {status && status !== 'saving' && <span className="text-red-700">{status}</span>}
+    </div>
+  );
+}
+
 function ResultCard({ data, onChooseRoute }) {
   if (!data) return null;
 
@@ -69,17 +136,27 @@ function ResultCard({ data, onChooseRoute }) {
       {data.arrivals && (
         <div className="rounded-xl border p-4 text-left">
           <div className="mb-2 text-sm text-slate-500">
-            Source: {data.source === 'rt' ? 'Real-time' : 'Schedule'} • {new Date(data.generatedAt).toLocaleTimeString()}
+            Source: {SOURCE_LABELS[data.source] || 'Schedule'} • {new Date(data.generatedAt).toLocaleTimeString()}
           </div>
           {data.arrivals.length ? (
             <ul className="space-y-1">
               {data.arrivals.map((a,i)=>(
                 <li key={i}>
-                  <strong>{a.routeShortName || '—'}</strong>
-                  {a.headsign ? ` → ${a.headsign}` : ''}
-                  {' — '}
-                  <span className="font-mono">{new Date(a.when).toLocaleTimeString()}</span>
+                  <span className={STATUS_LABELS[a.status] ? 'line-through text-slate-400' : undefined}>
+                    <strong>{a.routeShortName || '—'}</strong>
+                    {a.headsign ? ` → ${a.headsign}` : ''}
+                    {' — '}
+                    <span className="font-mono">{new Date(a.when).toLocaleTimeString()}</span>
+                  </span>
+                  {STATUS_LABELS[a.status] && <span className="ml-2 text-xs px-1 rounded bg-red-100 text-red-700">{STATUS_LABELS[a.status]}</span>}
+                  {a.status === 'ADDED' && <span className="ml-2 text-xs px-1 rounded bg-sky-100 text-sky-700">Extra</span>}
                   {a.realtime && <span className="ml-2 text-xs px-1 rounded bg-emerald-100 text-emerald-700">RT</span>}
+                  {a.realtime && delayText(a.delaySec) && (
+                    <span
+                      className={`ml-2 text-xs ${a.delaySec >= 60 ? 'text-red-700' : 'text-slate-500'}`}
+                      title={a.scheduledWhen ? `Scheduled ${new Date(a.scheduledWhen).toLocaleTimeString()}` : undefined}
+                    >{delayText(a.delaySec)}</span>
+                  )}
                 </li>
               ))}
             </ul>
@@ -92,12 +169,15 @@ function ResultCard({ data, onChooseRoute }) {
       {data.items && (
         <div className="rounded-xl border p-4 text-left space-y-2">
           {data.items.length ? data.items.map(x=>(
-            <div key={x.url || x.id || Math.random()} className="border-b pb-2 last:border-0">
-              <div className="font-semibold">{x.headerText || 'Alert'}</div>
-              {x.descriptionText && <div className="text-sm text-slate-700 whitespace-pre-line">{x.descriptionText}</div>}
+            <div key={x.url || x.id || Math.random()} className={`border-b pb-2 last:border-0 ${x.isNew ? 'border-l-4 border-l-amber-400 pl-2' : ''}`}>
+              {x.isNew && <span className="mr-2 rounded bg-amber-100 px-1.5 text-xs font-medium text-amber-800">New</span>}
+              <AlertText alert={x} />
               <div className="text-xs text-slate-500">
+                {x.activeNow === true && x.activePeriods?.length > 0 && <span className="mr-2 font-medium text-red-700">Active now</span>}
+                {x.activeNow === false && x.nextActive && <span className="mr-2 font-medium">Next active:</span>}
                 {x.start ? new Date(x.start).toLocaleString() : ''}
                 {x.end ? ` – ${new Date(x.end).toLocaleString()}` : ''}
+                {x.activePeriods?.length > 1 && ` (+${x.activePeriods.length - 1} more periods)`}
                 {x.url && <a className="ml-2 underline" href={x.url} target="_blank" rel="noreferrer">Details</a>}
               </div>
             </div>
@@ -125,6 +205,11 @@ export default function Chat() {
   const [loading, setLoading] = useState(false);
   const [inlineError, setInlineError] = useState('');
 
+  function chooseSystem(value) {
+    setSystem(value);
+    if (value !== 'TTC') setAlertMode('rt');
+  }
+
   async function parseAndMaybeAsk(q) {
     setInlineError('');
     try {
@@ -133,7 +218,8 @@ export default function Chat() {
         body: JSON.stringify({ text: q, sessionId: 'web' })
       }).then(r=>r.json());
       setMissing(r.missingSlots || []);
-      if (r.slots?.agency && r.slots.agency.toUpperCase()==='TTC') setSystem('TTC');
+      const parsedSystem = SYSTEMS.find(s => s.agency === r.slots?.agency);
+      if (parsedSystem) chooseSystem(parsedSystem.value);
       if (r.intent) setIntent(r.intent);
       if (r.slots?.stop_ref) setStopRef(r.slots.stop_ref);
       if (r.slots?.route_ref) setRouteRef(r.slots.route_ref);
@@ -162,8 +248,9 @@ export default function Chat() {
     const win = overrides.alertWindow ?? alertWindow;
     const mode = overrides.alertMode ?? alertMode;
 
-    if (sys !== 'TTC') {
-      setInlineError('Only TTC is enabled right now. Others are coming soon.');
+    const ag = SYSTEMS.find(s => s.value === sys && s.enabled)?.agency;
+    if (!ag) {
+      setInlineError('Please choose a transit system.');
       return;
     }
     if (!inx || (inx==='arrivals' && !stop)) {
@@ -172,7 +259,6 @@ export default function Chat() {
     }
     setLoading(true);
     try {
-      const ag = 'ttc';
       let url = '';
       if (inx === 'arrivals') {
         const params = new URLSearchParams({ agency: ag, stop_ref: String(stop).trim(), limit: String(lim) });
@@ -182,6 +268,8 @@ export default function Chat() {
         const params = new URLSearchParams({ agency: ag, limit: String(lim), window: String(win), mode });
         if (stop) params.set('stop_ref', String(stop).trim());
         if (route) params.set('route_ref', String(route).trim());
+        const since = readAlertCursor(ag, mode);
+        if (since) params.set('since', since);
         url = `${API_BASE}/api/transit/alerts?${params.toString()}`;
       }
       const res = await fetch(url);
@@ -193,13 +281,14 @@ export default function Chat() {
         // keep arrival chips reliable
         if (inx === 'arrivals' && !route) {
           try {
-            const lines = await fetchLines({ agency: 'ttc', stop_ref: String(stop).trim(), scope: 'all', windowMin: 60 });
+            const lines = await fetchLines({ agency: ag, stop_ref: String(stop).trim(), scope: 'all', windowMin: 60 });
             const base = Array.isArray(data.availableRoutes) ? data.availableRoutes : [];
             const merged = Array.from(new Set([...(base || []), ...(lines?.routes || [])]))
               .sort((a,b)=> String(a).localeCompare(String(b), undefined, { numeric:true }));
             data.availableRoutes = merged;
           } catch {}
         }
+        if (inx === 'alerts') writeAlertCursor(ag, mode, data.cursor);
         setResult(data);
       }
     } catch (e) {
@@ -212,9 +301,9 @@ export default function Chat() {
   return (
     <div className="page">
       <div className="container-narrow py-10 text-left">
-        <h1 className="text-2xl font-bold mb-2">Transit Chat — TTC</h1>
+        <h1 className="text-2xl font-bold mb-2">Transit Chat</h1>
         <p className="text-slate-600 mb-2">
-          TTC realtime with schedule fallback. Other systems are coming soon.
+          Realtime arrivals and alerts for TTC, MiWay, Brampton, DRT and YRT, with schedule fallback.
         </p>
         <div className="rounded-xl border p-3 mb-4 text-slate-700 text-sm">
           <div className="font-semibold mb-1">Tips for best accuracy</div>
@@ -229,7 +318,7 @@ export default function Chat() {
             <Chip
               key={s.value}
               active={system===s.value}
-              onClick={()=> s.enabled && setSystem(s.value)}
+              onClick={()=> s.enabled && chooseSystem(s.value)}
               disabled={!s.enabled}
               title={s.enabled ? '' : 'Coming soon'}
             >
@@ -250,7 +339,7 @@ export default function Chat() {
         <div className="grid sm:grid-cols-4 gap-3 mb-3">
           <div>
             <label className="block text-xs mb-1">System</label>
-            <select className="w-full rounded-xl border px-3 py-2" value={system} onChange={e=>setSystem(e.target.value)}>
+            <select className="w-full rounded-xl border px-3 py-2" value={system} onChange={e=>chooseSystem(e.target.value)}>
               {SYSTEMS.map(s => <option key={s.value} value={s.value} disabled={!s.enabled}>{s.label}</option>)}
             </select>
           </div>
@@ -290,7 +379,9 @@ export default function Chat() {
               <div>
                 <label className="block text-xs mb-1">Alert type</label>
                 <select className="w-full rounded-xl border px-3 py-2" value={alertMode} onChange={e=>setAlertMode(e.target.value)}>
-                  {ALERT_TYPES.map(a => <option key={a.value} value={a.value}>{a.label}</option>)}
+                  {ALERT_TYPES
+                    .filter(a => system === 'TTC' || a.value === 'rt')
+                    .map(a => <option key={a.value} value={a.value}>{a.label}</option>)}
                 </select>
               </div>
               <div>
@@ -331,6 +422,15 @@ export default function Chat() {
               run({ routeRef: r });
             }}
           />
+          {result?.items && alertMode === 'rt' && (routeRef || stopRef) && (
+            <div className="mt-3">
+              <AlertSubscribe
+                agency={SYSTEMS.find(s => s.value === system)?.agency}
+                routeRef={String(routeRef).trim()}
+                stopRef={String(stopRef).trim()}
+              />
+            </div>
+          )}
         </div>
       </div>
     </div>
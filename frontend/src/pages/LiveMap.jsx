@@ -0,0 +1,167 @@
+import { useEffect, useState } from 'react';
+import { API_BASE } from '../apiBase.js';
+
+const AGENCIES = [
+  { label: 'TTC', value: 'ttc' },
+  { label: 'MiWay', value: 'miway' },
+  { label: 'Brampton', value: 'brampton' },
+  { label: 'DRT', value: 'drt' },
+  { label: 'YRT', value: 'yrt' },
+];
+const REFRESH_MS = 15000; // matches the backend feed cache TTL
+const WIDTH = 600;
+const HEIGHT = 400;
+const PAD = 24;
+
+async function fetchVehicles(agency, routeRef) {
+  const params = new URLSearchParams({ agency, route_ref: routeRef });
+  const res = await fetch(`${API_BASE}/api/transit/vehicles?${params.toString()}`);
+  const data = await res.json().catch(() => ({}));
+  if (!res.ok) throw new Error(data?.error || `Request failed (${res.status})`);
+  return data;
+}
+
+// Equirectangular fit of the vehicles into the SVG box; good enough at city scale
+function project(vehicles) {
+  const lats = vehicles.map(v => v.lat);
+  const lons = vehicles.map(v => v.lon);
+  const minLat = Math.min(...lats), maxLat = Math.max(...lats);
+  const minLon = Math.min(...lons), maxLon = Math.max(...lons);
+  const kx = Math.cos(((minLat + maxLat) / 2) * Math.PI / 180);
+  const spanX = Math.max((maxLon - minLon) * kx, 1e-4);
+  const spanY = Math.max(maxLat - minLat, 1e-4);
+  const scale = Math.min((WIDTH - 2 * PAD) / spanX, (HEIGHT - 2 * PAD) / spanY);
+  return vehicles.map(v => ({
+    ...v,
+    x: PAD + (v.lon - minLon) * kx * scale,
+    y: HEIGHT - PAD - (v.lat - minLat) * scale,
+  }));
+}
+
+const enumText = (o) => (o ? o.toLowerCase().replace(/_/g, ' ') : '—');
+
+export default function LiveMap() {
+  const [agency, setAgency] = useState('ttc');
+  const [routeRef, setRouteRef] = useState('');
+  const [query, setQuery] = useState(null); // { agency, routeRef } being shown
+  const [data, setData] = useState(null);
+  const [errorMsg, setErrorMsg] = useState('');
+
+  useEffect(() => {
+    if (!query) return;
+    let cancelled = false;
+    const load = async () => {
+      try {
+        const d = await fetchVehicles(query.agency, query.routeRef);
+        if (!cancelled) { setData(d); setErrorMsg(''); }
+      } catch (e) {
+        if (!cancelled) setErrorMsg(String(e.message || e));
+      }
+    };
+    load();
+    const id = setInterval(load, REFRESH_MS);
+    return () => { cancelled = true; clearInterval(id); };
+  }, [query]);
+
+  const onShow = (e) => {
+    e.preventDefault();
+    if (!routeRef.trim()) return;
+    setData(null);
+    setQuery({ agency, routeRef: routeRef.trim() });
+  };
+
+  const points = data?.vehicles?.length ? project(data.vehicles) : [];
+
+  return (
+    <div className="page">
+      <div className="container-narrow py-8">
+        <div className="card p-6 bg-white dark:bg-slate-900 border border-slate-200 dark:border-slate-700">
+          <header className="mb-4">
+            <h1 className="text-2xl font-bold">Live vehicles</h1>
+            <p className="text-slate-600 dark:text-slate-300">
+              Where every bus and streetcar on a route is right now, from the agency’s GTFS-RT feed.
+            </p>
+          </header>
+
+          <form className="flex flex-wrap gap-2 mb-4" onSubmit={onShow}>
+            <select
+              className="rounded-xl border border-slate-300 dark:border-slate-600 bg-white dark:bg-slate-800 px-3 py-2"
+              value={agency}
+              onChange={e => setAgency(e.target.value)}
+              aria-label="Transit system"
+            >
+              {AGENCIES.map(a => <option key={a.value} value={a.value}>{a.label}</option>)}
+            </select>
+            <input
+              className="w-32 rounded-xl border border-slate-300 dark:border-slate-600 bg-white dark:bg-slate-800 px-3 py-2"
+              placeholder="Route, e.g. 501"
+              value={routeRef}
+              onChange={e => setRouteRef(e.target.value)}
+              aria-label="Route"
+            />
+            <button className="btn btn-primary" type="submit" disabled={!routeRef.trim()}>Show vehicles</button>
+          </form>
+
+          {errorMsg && (
+            <div role="alert" className="text-red-700 dark:text-red-400 bg-red-50 dark:bg-red-900/30 border border-red-200 dark:border-red-700 rounded-xl px-3 py-2 mb-4">
+              {errorMsg}
+            </div>
+          )}
+
+          {data && (
+            <>
+              <p role="status" className="mb-2 text-slate-600 dark:text-slate-300">
+                {data.vehicles.length
+                  ? `${data.vehicles.length} vehicles on route ${data.routeRef} · updated ${new Date(data.generatedAt).toLocaleTimeString()}`
+                  : `No vehicles reporting on route ${data.routeRef} right now.`}
+              </p>
+
+              {points.length > 0 && (
+                <svg
+                  viewBox={`0 0 ${WIDTH} ${HEIGHT}`}
+                  className="w-full rounded-xl border border-slate-200 dark:border-slate-700 bg-slate-50 dark:bg-slate-800 mb-4"
+                  role="img"
+                  aria-label={`Map of route ${data.routeRef} vehicles`}
+                >
+                  {points.map(v => (
+                    <g key={v.id} transform={`translate(${v.x.toFixed(1)} ${v.y.toFixed(1)})`} data-vehicle={v.id}>
+                      <title>{`Vehicle ${v.label}${v.occupancy ? ` · ${enumText(v.occupancy)}` : ''}`}</title>
+                      {v.bearing != null && (
+                        <line x1="0" y1="0" x2="0" y2="-14" transform={`rotate(${v.bearing})`} className="stroke-brand-600" strokeWidth="2" />
+                      )}
+                      <circle r="6" className="fill-brand-600" />
+                      <text x="9" y="4" fontSize="11" className="fill-slate-700 dark:fill-slate-200">{v.label}</text>
+                    </g>
+                  ))}
+                </svg>
+              )}
+
+              {data.vehicles.length > 0 && (
+                <table className="w-full text-left text-sm">
+                  <thead>
+                    <tr className="border-b border-slate-200 dark:border-slate-700">
+                      {['Vehicle', 'Position', 'Status', 'Occupancy', 'Last report'].map(h => (
+                        <th key={h} className="py-1 pr-3 font-medium">{h}</th>
+                      ))}
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {data.vehicles.map(v => (
+                      <tr key={v.id} className="border-b border-slate-100 dark:border-slate-800 last:border-0">
+                        <td className="py-1 pr-3">{v.label}</td>
+                        <td className="py-1 pr-3">{v.lat.toFixed(4)}, {v.lon.toFixed(4)}</td>
+                        <td className="py-1 pr-3">{enumText(v.currentStatus)}</td>
+                        <td className="py-1 pr-3">{enumText(v.occupancy)}</td>
+                        <td className="py-1 pr-3">{v.timestamp ? new Date(v.timestamp).toLocaleTimeString() : '—'}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              )}
+            </>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,134 @@
+import { useState } from 'react';
+import { API_BASE } from '../apiBase.js';
+import { reportCsv, downloadCsv } from '../reportCsv.js';
+
+const DIRECTION_LABELS = {
+  TTC_GO: 'TTC → GO',
+  GO_TTC: 'GO → TTC',
+  TTC_905: 'TTC ⇄ 905 Local',
+  OTHER: 'Other transfers'
+};
+
+const money = (cents) => `$${(Number(cents || 0) / 100).toFixed(2)}`;
+
+async function fetchReport(csvText) {
+  const res = await fetch(`${API_BASE}/api/fare/report`, {
+    method: 'POST',
+    headers: { 'content-type': 'text/csv' },
+    body: csvText
+  });
+  if (!res.ok) {
+    const t = await res.text().catch(()=> '');
+    throw new Error(`API error ${res.status}: ${t || res.statusText}`);
+  }
+  return res.json();
+}
+
+function Table({ title, head, rows }) {
+  if (!rows.length) return null;
+  return (
+    <section className="mb-6">
+      <h2 className="text-lg font-semibold mb-2">{title}</h2>
+      <table className="w-full text-left text-sm">
+        <thead>
+          <tr className="border-b border-slate-200 dark:border-slate-700">
+            {head.map(h => <th key={h} className="py-1 pr-3 font-medium">{h}</th>)}
+          </tr>
+        </thead>
+        <tbody>
+          {rows.map((r, i) => (
+            <tr key={i} className="border-b border-slate-100 dark:border-slate-800 last:border-0">
+              {r.map((c, j) => <td key={j} className="py-1 pr-3">{c}</td>)}
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </section>
+  );
+}
+
+export default function Report() {
+  const [report, setReport] = useState(null);
+  const [errorMsg, setErrorMsg] = useState('');
+  const [busy, setBusy] = useState(false);
+
+  const onFile = async (e) => {
+    const file = e.target.files?.[0];
+    if (!file) return;
+    setErrorMsg('');
+    setReport(null);
+    setBusy(true);
+    try {
+      setReport(await fetchReport(await file.text()));
+    } catch (err) {
+      setErrorMsg(String(err.message || err));
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return (
+    <div className="page">
+      <div className="container-narrow py-8">
+        <div className="card p-6 bg-white dark:bg-slate-900 border border-slate-200 dark:border-slate-700">
+          <header className="mb-4">
+            <h1 className="text-2xl font-bold">One Fare savings report</h1>
+            <p className="text-slate-600 dark:text-slate-300">
+              How much One Fare saved you compared with paying a separate fare on every leg.
+            </p>
+          </header>
+
+          <div className="mb-6 print:hidden">
+            <label className="inline-flex flex-col gap-1">
+              <span className="text-slate-600 dark:text-slate-300">PRESTO transaction history (CSV)</span>
+              <input type="file" accept=".csv,text/csv" onChange={onFile} disabled={busy} aria-label="PRESTO CSV file" />
+            </label>
+            {busy && <p className="mt-2 text-slate-600 dark:text-slate-300">Building your report…</p>}
+          </div>
+
+          {errorMsg && (
+            <div role="alert" className="text-red-700 dark:text-red-400 bg-red-50 dark:bg-red-900/30 border border-red-200 dark:border-red-700 rounded-xl px-3 py-2 mb-4">
+              {errorMsg}
+            </div>
+          )}
+
+          {report && (
+            <>
+              <div role="status" className="mb-6 grid gap-1">
+                <p className="text-3xl font-bold">{money(report.totals.savedCents)} saved</p>
+                <p className="text-slate-600 dark:text-slate-300">
+                  You paid {money(report.totals.chargedCents)} for {report.totals.taps} taps
+                  ({report.totals.transfers} transfers). Without One Fare it would have been {money(report.totals.doubleFareCents)}.
+                </p>
+              </div>
+
+              <Table
+                title="By month"
+                head={['Month', 'Taps', 'Paid', 'Saved']}
+                rows={report.byMonth.map(m => [m.month, m.taps, money(m.chargedCents), money(m.savedCents)])}
+              />
+              <Table
+                title="By direction"
+                head={['Direction', 'Transfers', 'Saved']}
+                rows={report.byDirection.map(d => [DIRECTION_LABELS[d.direction] || d.direction, d.transfers, money(d.savedCents)])}
+              />
+              <Table
+                title="By agency pair"
+                head={['Transfer', 'Transfers', 'Saved']}
+                rows={report.byAgencyPair.map(p => [`${p.from} → ${p.to}`, p.transfers, money(p.savedCents)])}
+              />
+
+              <div className="flex gap-2 print:hidden">
+                <button className="btn btn-primary" onClick={() => downloadCsv('one-fare-savings.csv', reportCsv(report))}>
+                  Export CSV
+                </button>
+                {/* The browser's print dialog handles "Save as PDF" */}
+                <button className="btn btn-ghost" onClick={() => window.print()}>Export PDF</button>
+              </div>
+            </>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
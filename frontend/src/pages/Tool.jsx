@@ -28,6 +28,14 @@ const PaymentMethods = {
   PRESTO_TICKET: 'PRESTO_TICKET',
   E_TICKET: 'E_TICKET'
 };
+const FareCategories = {
+  ADULT: 'ADULT',
+  YOUTH: 'YOUTH',
+  POST_SECONDARY: 'POST_SECONDARY',
+  SENIOR: 'SENIOR',
+  FAIR_PASS: 'FAIR_PASS',
+  CHILD: 'CHILD'
+};
 const localAgencies = [Agencies.TTC, Agencies.BRAMPTON, Agencies.DRT, Agencies.MIWAY, Agencies.YRT];
 
 function useCountdown(deadlineISO) {
@@ -44,6 +52,13 @@ function useCountdown(deadlineISO) {
   return { msLeft, expired, pretty };
 }
 
+async function fetchGoStations() {
+  const res = await fetch(`${API_BASE}/api/fare/go/stations`);
+  if (!res.ok) return [];
+  const data = await res.json();
+  return data.stations || [];
+}
+
 async function checkEligibility(payload) {
   const res = await fetch(`${API_BASE}/api/check`, {
     method: 'POST',
@@ -57,6 +72,21 @@ async function checkEligibility(payload) {
   return res.json();
 }
 
+async function replayHistory(csvText) {
+  const res = await fetch(`${API_BASE}/api/fare/history`, {
+    method: 'POST',
+    headers: { 'content-type': 'text/csv' },
+    body: csvText
+  });
+  if (!res.ok) {
+    const t = await res.text().catch(()=> '');
+    throw new Error(`API error ${res.status}: ${t || res.statusText}`);
+  }
+  return res.json();
+}
+
+const money = (cents) => `$${(Number(cents || 0) / 100).toFixed(2)}`;
+
 function Section({ title, children }) {
   return (
     <section className="mb-6">
@@ -175,12 +205,70 @@ function SmsEnroll() {
   );
 }
 
+function PrestoHistory() {
+  const [report, setReport] = useState(null);
+  const [msg, setMsg] = useState('');
+  const [busy, setBusy] = useState(false);
+
+  const onFile = async (e) => {
+    const file = e.target.files?.[0];
+    if (!file) return;
+    setMsg('');
+    setReport(null);
+    setBusy(true);
+    try {
+      setReport(await replayHistory(await file.text()));
+    } catch (err) {
+      setMsg(String(err.message || err));
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const flagged = report?.taps.filter(t => t.flagged) || [];
+
+  return (
+    <div className="flex flex-col gap-3">
+      <label className="inline-flex flex-col gap-1">
+        <span className="text-slate-600 dark:text-slate-300">PRESTO transaction history (CSV)</span>
+        <input type="file" accept=".csv,text/csv" onChange={onFile} disabled={busy} aria-label="PRESTO CSV file" />
+      </label>
+      {busy && <div className="text-slate-600 dark:text-slate-300">Checking your taps…</div>}
+      {msg && <div role="alert" className="text-red-700 dark:text-red-400">{msg}</div>}
+      {report && (
+        <div className="grid gap-2">
+          <p>
+            Checked <strong>{report.taps.length}</strong> taps.{' '}
+            {flagged.length
+              ? <>Found <strong>{flagged.length}</strong> where One Fare should have applied ({money(report.overchargeCents)} extra).</>
+              : 'Every tap was charged as expected.'}
+          </p>
+          {flagged.length > 0 && (
+            <ul className="list-disc pl-5">
+              {flagged.map((t, i) => (
+                <li key={i}>
+                  {dayjs(t.tapISO).format('MMM D, HH:mm')} — {t.agency}{t.location ? ` at ${t.location}` : ''}:
+                  {' '}charged {money(t.chargedCents)}, expected {money(t.expected.chargeCents)}
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
 export default function Tool() {
   const [direction, setDirection] = useState(() => localStorage.getItem('dir') || Directions.TTC_GO);
   const [startAgency, setStartAgency] = useState(Agencies.TTC);
   const [paymentMethod, setPaymentMethod] = useState(PaymentMethods.PRESTO_CARD);
   const [sameCard, setSameCard] = useState(true);
+  const [category, setCategory] = useState(() => localStorage.getItem('category') || FareCategories.ADULT);
   const [backdateMin, setBackdateMin] = useState(0);
+  const [goOrigin, setGoOrigin] = useState('');
+  const [goDestination, setGoDestination] = useState('');
+  const [goStations, setGoStations] = useState([]);
 
   const [result, setResult] = useState(null);
   const [firstTapISO, setFirstTapISO] = useState(null);
@@ -188,6 +276,14 @@ export default function Tool() {
   const { expired, pretty } = useCountdown(result?.deadlineISO);
 
   useEffect(() => { localStorage.setItem('dir', direction); }, [direction]);
+  useEffect(() => { localStorage.setItem('category', category); }, [category]);
+
+  const goTrip = direction === Directions.TTC_GO || direction === Directions.GO_TTC;
+  // Station suggestions load on first focus, not on every page view
+  const loadGoStations = () => {
+    if (goStations.length) return;
+    fetchGoStations().then(setGoStations).catch(() => {});
+  };
 
   const scheduledRef = useRef({ five: false, one: false });
   useEffect(() => {
@@ -226,7 +322,9 @@ export default function Tool() {
     const start = dayjs().subtract(Number(backdateMin) || 0, 'minute').toISOString();
     try {
       const r = await checkEligibility({
-        direction, startAgency, firstTapISO: start, paymentMethod, sameCard
+        direction, startAgency, firstTapISO: start, paymentMethod, sameCard, category,
+        ...(goTrip && goOrigin.trim() ? { goOrigin: goOrigin.trim() } : {}),
+        ...(goTrip && goDestination.trim() ? { goDestination: goDestination.trim() } : {})
       });
       setFirstTapISO(start);
       setResult(r);
@@ -308,6 +406,51 @@ export default function Tool() {
             </Section>
           </div>
 
+          <Section title="Rider type">
+            <select
+              className="w-full rounded-xl border border-slate-300 dark:border-slate-600 bg-white dark:bg-slate-800 text-slate-900 dark:text-slate-100 px-3 py-2"
+              value={category}
+              onChange={e => setCategory(e.target.value)}
+              aria-label="Rider type"
+            >
+              <option value={FareCategories.ADULT}>Adult</option>
+              <option value={FareCategories.YOUTH}>Youth (13–19)</option>
+              <option value={FareCategories.POST_SECONDARY}>Post-secondary student</option>
+              <option value={FareCategories.SENIOR}>Senior (65+)</option>
+              <option value={FareCategories.FAIR_PASS}>Fair Pass</option>
+              <option value={FareCategories.CHILD}>Child (12 and under)</option>
+            </select>
+          </Section>
+
+          {goTrip && (
+            <Section title="GO stations (optional)">
+              <div className="grid sm:grid-cols-2 gap-2">
+                <input
+                  list="go-stations"
+                  value={goOrigin}
+                  onChange={e => setGoOrigin(e.target.value)}
+                  onFocus={loadGoStations}
+                  placeholder="From (e.g. Union Station)"
+                  aria-label="GO origin station"
+                  className="w-full rounded-xl border border-slate-300 dark:border-slate-600 bg-white dark:bg-slate-800 text-slate-900 dark:text-slate-100 px-3 py-2"
+                />
+                <input
+                  list="go-stations"
+                  value={goDestination}
+                  onChange={e => setGoDestination(e.target.value)}
+                  onFocus={loadGoStations}
+                  placeholder="To (e.g. Oakville GO)"
+                  aria-label="GO destination station"
+                  className="w-full rounded-xl border border-slate-300 dark:border-slate-600 bg-white dark:bg-slate-800 text-slate-900 dark:text-slate-100 px-3 py-2"
+                />
+              </div>
+              <datalist id="go-stations">
+                {goStations.map(s => <option key={s.code} value={s.name} />)}
+              </datalist>
+              <p className="text-sm text-slate-500 dark:text-slate-400 mt-1">Used to price your GO leg. Leave blank for the minimum fare.</p>
+            </Section>
+          )}
+
           <Section title="Same card across taps?">
             <label className="inline-flex items-center gap-2">
               <input type="checkbox" className="h-4 w-4" checked={sameCard} onChange={e => setSameCard(e.target.checked)} />
@@ -382,12 +525,27 @@ export default function Tool() {
                       : (expired ? '❌ Window expired' : '❌ Not eligible'))}
                 </p>
                 <p className="text-slate-700 dark:text-slate-200">{result.savingsText}</p>
+                {result.categoryText && result.categoryText !== result.savingsText && (
+                  <p className="text-slate-600 dark:text-slate-300">{result.categoryText}</p>
+                )}
+                {result.fare?.text && (
+                  <p data-testid="go-fare" className="text-slate-700 dark:text-slate-200">{result.fare.text}</p>
+                )}
                 <p>First tap: <strong>{firstTapISO ? dayjs(firstTapISO).format('MMM D, HH:mm:ss') : '-'}</strong></p>
                 <p>Tap-by deadline: <strong>{result.deadlineISO ? dayjs(result.deadlineISO).format('MMM D, HH:mm:ss') : '-'}</strong></p>
                 <p className="text-3xl">⏱️ {expired ? '00:00' : pretty}</p>
-                {!result.eligibleNow && result.reasons.length > 0 && (
+                {Array.isArray(result.trace) && result.trace.length > 0 ? (
+                  <ul aria-label="Eligibility checklist" className="grid gap-1">
+                    {result.trace.map(t => (
+                      <li key={t.code} data-rule={t.code} className={t.passed ? '' : 'text-red-700 dark:text-red-400'}>
+                        {t.passed ? '✅' : '❌'} {t.rule}
+                        {!t.passed && t.message ? ` — ${t.message}` : ''}
+                      </li>
+                    ))}
+                  </ul>
+                ) : (!result.eligibleNow && result.reasons.length > 0 && (
                   <ul className="list-disc pl-5">{result.reasons.map((r, i) => <li key={i}>{r}</li>)}</ul>
-                )}
+                ))}
                 {expired && result.expiredNextSteps && (
                   <p className="text-red-700 dark:text-red-400">{result.expiredNextSteps}</p>
                 )}
@@ -395,6 +553,15 @@ export default function Tool() {
             </Section>
           )}
 
+          <Section title="Check past trips">
+            <div className="rounded-xl border border-slate-200 dark:border-slate-700 bg-white dark:bg-slate-900 p-4">
+              <p className="text-slate-600 dark:text-slate-300 mb-3">
+                Download your card’s transaction history from prestocard.ca and upload it here to spot taps where the One Fare discount was missed. The file is only used for this check and is not stored.
+              </p>
+              <PrestoHistory />
+            </div>
+          </Section>
+
           <footer className="mt-4 text-slate-500 dark:text-slate-400 text-sm">
             Runs entirely on your device. No PRESTO login or personal data required.
           </footer>
@@ -0,0 +1,30 @@
+// frontend/src/reportCsv.js
+import { downloadFile } from './downloadFile.js';
+
+const dollars = (cents) => (Number(cents || 0) / 100).toFixed(2);
+
+function csvCell(v) {
+  const s = String(v ?? '');
+  return /[",\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+// Flattens a /api/fare/report response into one CSV table (amounts in dollars).
+export function reportCsv(report) {
+  const rows = [['Section', 'Group', 'Count', 'Charged', 'Saved']];
+  for (const m of report.byMonth || []) {
+    rows.push(['Month', m.month, m.taps, dollars(m.chargedCents), dollars(m.savedCents)]);
+  }
+  for (const p of report.byAgencyPair || []) {
+    rows.push(['Agency pair', `${p.from} → ${p.to}`, p.transfers, '', dollars(p.savedCents)]);
+  }
+  for (const d of report.byDirection || []) {
+    rows.push(['Direction', d.direction, d.transfers, '', dollars(d.savedCents)]);
+  }
+  const t = report.totals || {};
+  rows.push(['Total', 'All taps', t.taps, dollars(t.chargedCents), dollars(t.savedCents)]);
+  return rows.map(r => r.map(csvCell).join(',')).join('\n') + '\n';
+}
+
+export function downloadCsv(filename, csvString) {
+  downloadFile(filename, 'text/csv;charset=utf-8', csvString);
+}
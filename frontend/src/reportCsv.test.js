@@ -0,0 +1,18 @@
+import { describe, test, expect } from 'vitest';
+import { reportCsv } from './reportCsv.js';
+
+describe('reportCsv', () => {
+  test('flattens months, pairs, directions and totals', () => {
+    const csv = reportCsv({
+      byMonth: [{ month: '2025-09', taps: 4, chargedCents: 1280, savedCents: 330 }],
+      byAgencyPair: [{ from: 'MIWAY', to: 'GO', transfers: 1, savedCents: 330 }],
+      byDirection: [{ direction: 'OTHER', transfers: 1, savedCents: 330 }],
+      totals: { taps: 4, chargedCents: 1280, savedCents: 330 }
+    });
+    const lines = csv.trim().split('\n');
+    expect(lines[0]).toBe('Section,Group,Count,Charged,Saved');
+    expect(lines[1]).toBe('Month,2025-09,4,12.80,3.30');
+    expect(lines[2]).toBe('Agency pair,MIWAY → GO,1,,3.30');
+    expect(lines.at(-1)).toBe('Total,All taps,4,12.80,3.30');
+  });
+});
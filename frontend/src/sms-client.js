@@ -108,3 +108,16 @@ export async function scheduleSmsReminders(deadlineISO) {
   }
 }
 
+
+// Text this phone when a new alert for the route/stop appears (used by Chat.jsx)
+export async function subscribeSmsAlerts({ agency, routeRef, stopRef }) {
+  const recipientId = getSmsRecipientId();
+  if (!recipientId) throw new Error('Please enable SMS alerts first.');
+
+  const res = await fetch(`${API_BASE}/api/alerts/subscriptions`, {
+    method: 'POST',
+    headers: { 'content-type': 'application/json' },
+    body: JSON.stringify({ recipientId, agency, routeRef: routeRef || undefined, stopRef: stopRef || undefined })
+  });
+  return parseOkOrThrow(res);
+}
@@ -8,3 +8,12 @@ export function formatHMS(msLeft) {
   return h > 0 ? `${h}:${pad(m)}:${pad(s)}` : `${pad(m)}:${pad(s)}`;
 }
 
+
+// "3 min late" / "2 min early" / "on time" from a schedule deviation; null when unknown
+export function delayText(delaySec) {
+  if (delaySec == null || !Number.isFinite(Number(delaySec))) return null;
+  const sec = Number(delaySec);
+  const min = Math.round(Math.abs(sec) / 60);
+  if (min === 0) return 'on time';
+  return sec > 0 ? `${min} min late` : `${min} min early`;
+}
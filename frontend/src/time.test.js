@@ -1,5 +1,5 @@
 import { describe, test, expect } from 'vitest';
-import { formatHMS } from './time.js';
+import { formatHMS, delayText } from './time.js';
 
 describe('formatHMS', () => {
   test('>= 1h formats as H:MM:SS', () => {
@@ -12,3 +12,15 @@ describe('formatHMS', () => {
   });
 });
 
+
+describe('delayText', () => {
+  test('rounds to whole minutes late or early', () => {
+    expect(delayText(180)).toBe('3 min late');
+    expect(delayText(-150)).toBe('3 min early');
+    expect(delayText(20)).toBe('on time');
+  });
+  test('unknown delay has no text', () => {
+    expect(delayText(null)).toBeNull();
+    expect(delayText(undefined)).toBeNull();
+  });
+});
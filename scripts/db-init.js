@@ -54,7 +54,7 @@ async function main() {
       id             BIGSERIAL PRIMARY KEY,
       recipient_id   UUID NOT NULL REFERENCES sms_recipients(id) ON DELETE CASCADE,
       fire_at        TIMESTAMPTZ NOT NULL,
-      kind           TEXT NOT NULL CHECK (kind IN ('T_MINUS_5','T_MINUS_1','T_MINUS_115')),
+      kind           TEXT NOT NULL CHECK (kind IN ('T_MINUS_5','T_MINUS_1','T_MINUS_115','ALERT')),
       body           TEXT NOT NULL,
       url            TEXT,
       sent_at        TIMESTAMPTZ,
@@ -62,7 +62,7 @@ async function main() {
       error          TEXT
     );
   `);
-  // If table already existed with the older CHECK, widen it to include T_MINUS_115
+  // If table already existed with the older CHECK, widen it to include T_MINUS_115 and ALERT
   await client.query(`
     DO $$
     BEGIN
@@ -74,7 +74,7 @@ async function main() {
         ALTER TABLE sms_reminder_jobs
           DROP CONSTRAINT sms_reminder_jobs_kind_check,
           ADD CONSTRAINT sms_reminder_jobs_kind_check
-          CHECK (kind IN ('T_MINUS_5','T_MINUS_1','T_MINUS_115'));
+          CHECK (kind IN ('T_MINUS_5','T_MINUS_1','T_MINUS_115','ALERT'));
       END IF;
     END$$;
   `);
@@ -155,19 +155,87 @@ async function main() {
       subscription_id  ${fkType} NOT NULL
         REFERENCES push_subscriptions(id) ON DELETE CASCADE,
       fire_at          TIMESTAMPTZ NOT NULL,
-      kind             TEXT NOT NULL CHECK (kind IN ('T_MINUS_5','T_MINUS_1')),
+      kind             TEXT NOT NULL CHECK (kind IN ('T_MINUS_5','T_MINUS_1','ALERT')),
       payload          JSONB,
       sent_at          TIMESTAMPTZ,
       failed_at        TIMESTAMPTZ,
       error            TEXT
     );
   `);
+  // Older tables only allow the two reminder kinds; widen the CHECK to include ALERT
+  await client.query(`
+    DO $$
+    BEGIN
+      IF EXISTS (
+        SELECT 1 FROM information_schema.table_constraints
+        WHERE table_name='reminder_jobs'
+          AND constraint_name='reminder_jobs_kind_check'
+      ) THEN
+        ALTER TABLE reminder_jobs
+          DROP CONSTRAINT reminder_jobs_kind_check,
+          ADD CONSTRAINT reminder_jobs_kind_check
+          CHECK (kind IN ('T_MINUS_5','T_MINUS_1','ALERT'));
+      END IF;
+    END$$;
+  `);
   await client.query(`
     CREATE INDEX IF NOT EXISTS reminder_due_idx
       ON reminder_jobs (fire_at)
       WHERE sent_at IS NULL AND failed_at IS NULL;
   `);
 
+  // --- alert history (realtime + planned), one row per distinct alert text ---
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS alert_history (
+      id               BIGSERIAL PRIMARY KEY,
+      agency           TEXT NOT NULL,
+      source           TEXT NOT NULL,
+      alert_key        TEXT NOT NULL,
+      header_text      TEXT,
+      description_text TEXT,
+      url              TEXT,
+      start_at         TIMESTAMPTZ,
+      end_at           TIMESTAMPTZ,
+      payload          JSONB,
+      first_seen_at    TIMESTAMPTZ NOT NULL DEFAULT now(),
+      last_seen_at     TIMESTAMPTZ NOT NULL DEFAULT now(),
+      UNIQUE (agency, source, alert_key)
+    );
+  `);
+  await client.query(`
+    CREATE INDEX IF NOT EXISTS alert_history_first_seen_idx
+      ON alert_history (agency, first_seen_at DESC);
+  `);
+
+  // --- alert subscriptions: an SMS recipient or push subscription watching a route/stop ---
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS alert_subscriptions (
+      id                    UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+      recipient_id          UUID REFERENCES sms_recipients(id) ON DELETE CASCADE,
+      push_subscription_id  ${fkType} REFERENCES push_subscriptions(id) ON DELETE CASCADE,
+      agency                TEXT NOT NULL,
+      route_ref             TEXT,
+      stop_ref              TEXT,
+      scope                 JSONB NOT NULL,
+      created_at            TIMESTAMPTZ NOT NULL DEFAULT now(),
+      CHECK ((recipient_id IS NULL) <> (push_subscription_id IS NULL)),
+      CHECK (route_ref IS NOT NULL OR stop_ref IS NOT NULL)
+    );
+  `);
+  await client.query(`
+    CREATE INDEX IF NOT EXISTS alert_subscriptions_agency_idx
+      ON alert_subscriptions (agency);
+  `);
+  // One row per alert already queued for a subscription, so each goes out once
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS alert_notifications (
+      subscription_id  UUID NOT NULL REFERENCES alert_subscriptions(id) ON DELETE CASCADE,
+      alert_key        TEXT NOT NULL,
+      queued_at        TIMESTAMPTZ NOT NULL DEFAULT now(),
+      PRIMARY KEY (subscription_id, alert_key)
+    );
+  `);
+
   console.log('DB initialized successfully.');
   await client.end();
 }
@@ -0,0 +1,56 @@
+// scripts/import-go-fares.js
+// Usage: node scripts/import-go-fares.js --zip ./data/go_gtfs.zip [--out backend/src/data/goFares.json] [--version 2025-01]
+// Rebuilds the GO station-to-station fare matrix from GO's GTFS
+// (stops.txt zone_id + fare_rules.txt origin/destination + fare_attributes.txt price).
+import fs from 'fs';
+import unzipper from 'unzipper';
+import { parse } from 'csv-parse/sync';
+
+function arg(name, def = null) { const i = process.argv.indexOf(`--${name}`); return i >= 0 ? process.argv[i + 1] : def; }
+const zipPath = arg('zip');
+const outPath = arg('out', new URL('../backend/src/data/goFares.json', import.meta.url));
+if (!zipPath || !fs.existsSync(zipPath)) throw new Error('--zip missing or not found');
+
+async function readCsv(directory, name) {
+  const entry = directory.files.find(f => f.path.endsWith(name));
+  if (!entry) throw new Error(`${name} not found in ${zipPath}`);
+  return parse(await entry.buffer(), { columns: true, skip_empty_lines: true, trim: true, bom: true });
+}
+
+const directory = await unzipper.Open.file(zipPath);
+const stops = await readCsv(directory, 'stops.txt');
+const attributes = await readCsv(directory, 'fare_attributes.txt');
+const rules = await readCsv(directory, 'fare_rules.txt');
+
+// Keep the existing concession discounts and version unless overridden
+const current = fs.existsSync(outPath) ? JSON.parse(fs.readFileSync(outPath, 'utf8')) : {};
+
+const stations = {};
+for (const s of stops) {
+  // Stations only (location_type 1), or stops without a parent in flat feeds
+  if (!s.zone_id || (s.location_type !== '1' && s.parent_station)) continue;
+  stations[s.stop_code || s.stop_id] = { name: s.stop_name, zone: s.zone_id };
+}
+
+const priceById = new Map(attributes.map(a => [a.fare_id, Math.round(Number(a.price) * 100)]));
+const fares = {};
+for (const r of rules) {
+  const cents = priceById.get(r.fare_id);
+  if (!r.origin_id || !r.destination_id || !Number.isFinite(cents)) continue;
+  const key = [r.origin_id, r.destination_id].sort().join('-');
+  // GO publishes both directions; they should match, keep the lower if not
+  fares[key] = Math.min(fares[key] ?? Infinity, cents);
+}
+
+const out = {
+  version: arg('version', current.version || new Date().toISOString().slice(0, 7)),
+  currency: attributes[0]?.currency_type || current.currency || 'CAD',
+  source: 'gtfs',
+  description: 'GO Transit PRESTO adult fares (cents) by fare zone, from GO\'s GTFS fare_rules/fare_attributes. '
+    + 'Regenerate with scripts/import-go-fares.js. Concession fares are the adult fare less the listed discount.',
+  concessionDiscounts: current.concessionDiscounts || { ADULT: 0 },
+  stations,
+  fares
+};
+fs.writeFileSync(outPath, JSON.stringify(out, null, 2) + '\n');
+console.log(`GO fares imported: ${Object.keys(stations).length} stations, ${Object.keys(fares).length} zone pairs.`);
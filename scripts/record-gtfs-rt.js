@@ -0,0 +1,63 @@
+// scripts/record-gtfs-rt.js
+// Usage: node scripts/record-gtfs-rt.js [--agency ttc,miway] [--kinds trips,alerts,vehicles]
+//        [--out data/recordings] [--every 30 --count 10] [--flat]
+// Captures GTFS-RT snapshots from each adapter's live endpoints into
+// <out>/<UTC timestamp>/<agency>-<kind>.pb. Replay one with RT_FEED_DIR=<that folder>
+// (or --flat to overwrite <out>/<agency>-<kind>.pb, e.g. --out data --flat).
+import 'dotenv/config';
+import fs from 'fs';
+import path from 'path';
+import { adapters, agencyKeys } from '../backend/src/lib/adapters/index.js';
+
+function arg(name, def = null) { const i = process.argv.indexOf(`--${name}`); return i >= 0 ? process.argv[i + 1] : def; }
+const list = (v) => String(v || '').split(',').map(s => s.trim().toLowerCase()).filter(Boolean);
+
+const agencies = arg('agency') ? list(arg('agency')) : agencyKeys;
+const kinds = list(arg('kinds', 'trips,alerts,vehicles'));
+const outDir = arg('out', new URL('../data/recordings', import.meta.url).pathname);
+const everySec = Number(arg('every', 0));
+const count = Math.max(1, Number(arg('count', everySec ? 10 : 1)));
+const flat = process.argv.includes('--flat');
+
+const unknown = agencies.filter(a => !adapters[a]);
+if (unknown.length) throw new Error(`Unknown agency: ${unknown.join(', ')} (have ${agencyKeys.join(', ')})`);
+if (process.env.RT_FEED_DIR || process.env.RT_FEED_BASE_URL) {
+  console.warn('RT_FEED_DIR / RT_FEED_BASE_URL are ignored here; recording from the live endpoints.');
+}
+
+async function download(url) {
+  const ac = new AbortController();
+  const t = setTimeout(() => ac.abort(), 15000);
+  try {
+    const res = await fetch(url, { signal: ac.signal });
+    if (!res.ok) throw new Error(`HTTP ${res.status}`);
+    return Buffer.from(await res.arrayBuffer());
+  } finally {
+    clearTimeout(t);
+  }
+}
+
+async function snapshot() {
+  const stamp = new Date().toISOString().replace(/[-:]/g, '').replace(/\.\d+Z$/, 'Z');
+  const dir = flat ? outDir : path.join(outDir, stamp);
+  fs.mkdirSync(dir, { recursive: true });
+  for (const agency of agencies) {
+    for (const kind of kinds) {
+      const url = adapters[agency].feeds?.[kind];
+      if (!url) continue; // e.g. YRT publishes no alerts feed
+      const file = path.join(dir, `${agency}-${kind}.pb`);
+      try {
+        const buf = await download(url);
+        fs.writeFileSync(file, buf);
+        console.log(`${file}  ${buf.length} bytes`);
+      } catch (e) {
+        console.warn(`${agency} ${kind}: ${e.message}`);
+      }
+    }
+  }
+}
+
+for (let i = 0; i < count; i++) {
+  if (i > 0) await new Promise(r => setTimeout(r, everySec * 1000));
+  await snapshot();
+}